@@ -0,0 +1,61 @@
+const reducedMotionQuery = window.matchMedia(
+	"(prefers-reduced-motion: reduce)"
+);
+
+/**
+ * The motion setting chosen in the settings, see {@link prefersReducedMotion}.
+ *
+ * @type {import("./settings.js").Settings["motion"]}
+ */
+let chosenMotion = "auto";
+
+// prefersReducedMotion
+
+/**
+ * Checks whether the app should avoid animations, either because the user
+ * chose to reduce motion in the settings, or because the motion setting is
+ * `auto` and the operating system asks for reduced motion.
+ *
+ * @returns {boolean} Whether motion should be reduced.
+ */
+const prefersReducedMotion = () =>
+	chosenMotion === "reduce" ||
+	(chosenMotion === "auto" && reducedMotionQuery.matches);
+
+// getScrollBehavior
+
+/**
+ * Returns the `behavior` option for scrolling the page from a script, which
+ * jumps straight to the target when motion should be reduced, see
+ * {@link prefersReducedMotion}, and scrolls smoothly otherwise.
+ *
+ * @returns {ScrollBehavior} The scroll behaviour.
+ */
+export const getScrollBehavior = () =>
+	prefersReducedMotion() ? "auto" : "smooth";
+
+// applyAccessibilitySettings
+
+/**
+ * Applies the reading and motion settings to the root element, so that they
+ * affect the book list and every dialog alike. The text size is set as the
+ * font size of the root element, which every `rem` size in the stylesheet
+ * scales with. The line spacing, motion and font are set as `data-*`
+ * attributes, which switch the matching rules of the stylesheet.
+ *
+ * @param {import("./settings.js").Settings} settings - The settings to apply.
+ */
+export const applyAccessibilitySettings = ({
+	textSize,
+	lineSpacing,
+	motion,
+	font,
+}) => {
+	const root = document.documentElement;
+
+	chosenMotion = motion;
+	root.style.setProperty("font-size", `${textSize}%`);
+	root.dataset.lineSpacing = lineSpacing;
+	root.dataset.motion = motion;
+	root.dataset.font = font;
+};
@@ -0,0 +1,133 @@
+/* eslint-disable import/extensions */
+import { authors, genres } from "./data.js";
+import { getBooksByAuthor } from "./catalog.js";
+
+/**
+ * @typedef {object} AuthorProfile - A summary of everything an author wrote.
+ * @property {string} id - The author ID.
+ * @property {string} name - The name of the author.
+ * @property {import("./books-preview.js").BookLibrary} books - Every book by
+ * the author, from the earliest to the latest publication date.
+ * @property {{id: string, name: string, count: number}[]} genres - The genres
+ * of the author's books, from the most to the least common.
+ */
+
+// getAuthorProfile
+
+/**
+ * Collects every book by the provided author, see {@link getBooksByAuthor}, in
+ * publication order, together with the genres the author writes in and
+ * how many of their books belong to each genre.
+ *
+ * @param {string} authorId - The author ID.
+ * @returns {AuthorProfile} The profile of the author.
+ */
+export const getAuthorProfile = (authorId) => {
+	const authorBooks = [...getBooksByAuthor(authorId)].sort(
+		(a, b) => Date.parse(a.published) - Date.parse(b.published)
+	);
+	const genreCounts = new Map();
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const singleBook of authorBooks) {
+		// eslint-disable-next-line no-restricted-syntax
+		for (const genre of singleBook.genres) {
+			genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1);
+		}
+	}
+
+	return {
+		id: authorId,
+		name: authors[authorId],
+		books: authorBooks,
+		genres: [...genreCounts]
+			.map(([id, count]) => ({ id, name: genres[id], count }))
+			.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+	};
+};
+
+// describeAuthorProfile
+
+/**
+ * Summarises an author profile in a single line, e.g. "3 books, published
+ * 1996–2015".
+ *
+ * @param {AuthorProfile} profile - The profile of the author.
+ * @returns {string} The summary of the profile.
+ */
+export const describeAuthorProfile = ({ books: authorBooks }) => {
+	const years = authorBooks.map(({ published }) =>
+		new Date(published).getFullYear()
+	);
+	const firstYear = years[0];
+	const lastYear = years[years.length - 1];
+	const count = `${authorBooks.length} ${
+		authorBooks.length === 1 ? "book" : "books"
+	}`;
+
+	if (years.length < 1) return count;
+	if (firstYear === lastYear) return `${count}, published ${firstYear}`;
+	return `${count}, published ${firstYear}–${lastYear}`;
+};
+
+// createAuthorTimelineHTML
+
+/**
+ * Generates a document fragment with a list item for each book of an author
+ * profile, showing the publication year next to a button with the book
+ * title. The buttons hold the book ID in their `data-preview` attribute, just
+ * like the book previews of the book list, so that the book can be opened
+ * from the timeline.
+ *
+ * @param {AuthorProfile} profile - The profile of the author.
+ * @returns {DocumentFragment} A document fragment containing the timeline
+ * items.
+ */
+export const createAuthorTimelineHTML = ({ books: authorBooks }) => {
+	const timelineFragment = document.createDocumentFragment();
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const { id, title, published } of authorBooks) {
+		const itemElement = document.createElement("li");
+		const yearElement = document.createElement("time");
+		const titleElement = document.createElement("button");
+
+		itemElement.className = "overlay__timeline-item";
+		yearElement.className = "overlay__timeline-year";
+		yearElement.dateTime = published;
+		yearElement.innerText = new Date(published).getFullYear();
+		titleElement.className = "overlay__timeline-title";
+		titleElement.dataset.preview = id;
+		titleElement.innerText = title;
+
+		itemElement.append(yearElement, titleElement);
+		timelineFragment.appendChild(itemElement);
+	}
+
+	return timelineFragment;
+};
+
+// createAuthorGenresHTML
+
+/**
+ * Generates a document fragment with a tag for each genre of an author
+ * profile, labelled with the genre name and the number of the author's books
+ * in it, e.g. "Travel (5)".
+ *
+ * @param {AuthorProfile} profile - The profile of the author.
+ * @returns {DocumentFragment} A document fragment containing the genre tags.
+ */
+export const createAuthorGenresHTML = ({ genres: authorGenres }) => {
+	const genresFragment = document.createDocumentFragment();
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const { name, count } of authorGenres) {
+		const tagElement = document.createElement("li");
+
+		tagElement.className = "overlay__tag";
+		tagElement.innerText = `${name} (${count})`;
+		genresFragment.appendChild(tagElement);
+	}
+
+	return genresFragment;
+};
@@ -0,0 +1,198 @@
+/* eslint-disable import/extensions */
+import { tokenize } from "./search-index.js";
+
+/**
+ * @typedef {object} ComboboxOptions - The elements and callbacks that an
+ * autocomplete combobox is created from.
+ * @property {HTMLInputElement} input - The text field the user types into.
+ * @property {HTMLElement} listbox - The (initially hidden) element that the
+ * suggestions are rendered into.
+ * @property {HTMLElement} status - A live region that announces the number of
+ * suggestions to screen readers.
+ * @property {(text: string) =>
+ * import("./search.js").AutocompleteSuggestion[]} getSuggestions - Returns
+ * the suggestions for the text in the field.
+ * @property {(suggestion: import("./search.js").AutocompleteSuggestion) =>
+ * void} onSelect - Called when the user chooses a suggestion.
+ */
+
+// highlightMatches
+
+/**
+ * Creates a document fragment containing the provided label, in which the
+ * start of every word that matches one of the typed terms is wrapped in a
+ * `<mark>` element. The label is added as text nodes, so it is never parsed
+ * as HTML.
+ *
+ * @param {string} label - The text of the suggestion.
+ * @param {string[]} terms - The lowercase terms typed by the user.
+ * @returns {DocumentFragment} The highlighted label.
+ */
+const highlightMatches = (label, terms) => {
+	const fragment = document.createDocumentFragment();
+	const wordPattern = /[\p{L}\p{N}]+/gu;
+	let index = 0;
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const { 0: word, index: start } of label.matchAll(wordPattern)) {
+		const length = Math.max(
+			0,
+			...terms
+				.filter((term) => word.toLowerCase().startsWith(term))
+				.map((term) => term.length)
+		);
+
+		if (length > 0) {
+			const mark = document.createElement("mark");
+
+			mark.className = "overlay__suggestion-match";
+			mark.textContent = label.slice(start, start + length);
+			fragment.append(label.slice(index, start), mark);
+			index = start + length;
+		}
+	}
+
+	fragment.append(label.slice(index));
+	return fragment;
+};
+
+// createAutocomplete
+
+/**
+ * Factory function that turns a text field into an accessible combobox, which
+ * follows the WAI-ARIA combobox pattern with a listbox popup. Suggestions are
+ * shown as the user types, with the matching part of each one highlighted.
+ * The Down and Up arrow keys move through the suggestions, Enter chooses the
+ * active one, and Escape closes the list. A suggestion can also be chosen with
+ * the mouse. Choosing a suggestion calls the `onSelect` callback.
+ *
+ * @param {ComboboxOptions} options - The elements and callbacks to use.
+ * @returns {{ close: () => void }} An object with a method to close the list
+ * of suggestions.
+ */
+const createAutocomplete = ({
+	input,
+	listbox,
+	status,
+	getSuggestions,
+	onSelect,
+}) => {
+	const current = {
+		suggestions: [],
+		activeIndex: -1,
+	};
+
+	input.setAttribute("role", "combobox");
+	input.setAttribute("aria-autocomplete", "list");
+	input.setAttribute("aria-controls", listbox.id);
+	input.setAttribute("aria-expanded", "false");
+	input.setAttribute("autocomplete", "off");
+	listbox.setAttribute("role", "listbox");
+
+	const setActiveIndex = (index) => {
+		current.activeIndex = index;
+
+		[...listbox.children].forEach((option, i) => {
+			option.setAttribute("aria-selected", String(i === index));
+		});
+
+		if (index < 0) {
+			input.removeAttribute("aria-activedescendant");
+		} else {
+			const option = listbox.children[index];
+			input.setAttribute("aria-activedescendant", option.id);
+			option.scrollIntoView?.({ block: "nearest" });
+		}
+	};
+
+	const close = () => {
+		current.suggestions = [];
+		listbox.replaceChildren();
+		listbox.toggleAttribute("hidden", true);
+		input.setAttribute("aria-expanded", "false");
+		setActiveIndex(-1);
+	};
+
+	const select = (index) => {
+		const suggestion = current.suggestions[index];
+		close();
+		if (suggestion) onSelect(suggestion);
+	};
+
+	const open = () => {
+		const terms = tokenize(input.value);
+		const fragment = document.createDocumentFragment();
+
+		current.suggestions = getSuggestions(input.value);
+
+		current.suggestions.forEach(({ type, label, detail }, index) => {
+			const option = document.createElement("li");
+			const labelElement = document.createElement("span");
+			const detailElement = document.createElement("span");
+
+			option.id = `${listbox.id}-${index}`;
+			option.className = `overlay__suggestion overlay__suggestion_${type}`;
+			option.setAttribute("role", "option");
+			option.setAttribute("aria-selected", "false");
+
+			labelElement.appendChild(highlightMatches(label, terms));
+			option.appendChild(labelElement);
+
+			detailElement.className = "overlay__suggestion-detail";
+			detailElement.textContent = detail;
+			option.appendChild(detailElement);
+
+			fragment.appendChild(option);
+		});
+
+		listbox.replaceChildren(fragment);
+		listbox.toggleAttribute("hidden", current.suggestions.length < 1);
+		input.setAttribute("aria-expanded", String(!listbox.hidden));
+		status.replaceChildren(
+			input.value.trim()
+				? `${current.suggestions.length} suggestions available.`
+				: ""
+		);
+		setActiveIndex(-1);
+	};
+
+	const handleKeydown = (event) => {
+		const count = current.suggestions.length;
+
+		if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+			event.preventDefault();
+			if (count < 1) {
+				open();
+				return;
+			}
+
+			// Cycles through the suggestions and back to the field itself (-1).
+			const step = event.key === "ArrowDown" ? 1 : -1;
+			setActiveIndex(
+				((current.activeIndex + 1 + step + count + 1) % (count + 1)) - 1
+			);
+		} else if (event.key === "Enter" && current.activeIndex >= 0) {
+			event.preventDefault();
+			select(current.activeIndex);
+		} else if (event.key === "Escape" && count > 0) {
+			event.preventDefault();
+			close();
+		}
+	};
+
+	input.addEventListener("input", open);
+	input.addEventListener("keydown", handleKeydown);
+	input.addEventListener("blur", close);
+
+	// A mousedown would move focus away from the field and close the list
+	// before the click registers, so it is cancelled.
+	listbox.addEventListener("mousedown", (event) => event.preventDefault());
+	listbox.addEventListener("click", (event) => {
+		const option = event.target.closest("[role=option]");
+		if (option) select([...listbox.children].indexOf(option));
+	});
+
+	return { close };
+};
+
+export default createAutocomplete;
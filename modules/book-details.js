@@ -0,0 +1,127 @@
+/* eslint-disable import/extensions */
+import { genres } from "./data.js";
+
+/**
+ * The average number of words on a page of a book, and the number of words an
+ * average adult reads per minute, which together estimate how long a book
+ * takes to read.
+ */
+const WORDS_PER_PAGE = 250;
+const WORDS_PER_MINUTE = 238;
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "long" });
+const numberFormat = new Intl.NumberFormat();
+
+// formatPublishedDate
+
+/**
+ * Formats the publication date of a book in the long date style of the user's
+ * locale, e.g. "31 December 1996".
+ *
+ * @param {string} published - The publication date, in the ISO Date format.
+ * @returns {string} The formatted date.
+ */
+export const formatPublishedDate = (published) =>
+	dateFormat.format(new Date(published));
+
+// formatReadingTime
+
+/**
+ * Estimates how long reading a book takes from its page count, see
+ * {@link WORDS_PER_PAGE} and {@link WORDS_PER_MINUTE}. Estimates of an hour or
+ * more are rounded to ten minutes, as a more exact estimate would suggest a
+ * precision it doesn't have.
+ *
+ * @param {number} pages - The page count of the book.
+ * @returns {string} The estimated reading time, e.g. "45 min" or "4 h 30 min".
+ */
+export const formatReadingTime = (pages) => {
+	const minutes = Math.max(
+		1,
+		Math.round((pages * WORDS_PER_PAGE) / WORDS_PER_MINUTE)
+	);
+
+	if (minutes < 60) return `${minutes} min`;
+
+	const roundedMinutes = Math.round(minutes / 10) * 10;
+	const hours = Math.floor(roundedMinutes / 60);
+	const remainder = roundedMinutes % 60;
+
+	return remainder === 0 ? `${hours} h` : `${hours} h ${remainder} min`;
+};
+
+// formatNumber
+
+/**
+ * Formats a number with the digit grouping of the user's locale, e.g.
+ * "192,799".
+ *
+ * @param {number} value - The number to format.
+ * @returns {string} The formatted number.
+ */
+export const formatNumber = (value) => numberFormat.format(value);
+
+// createGenreChipsHTML
+
+/**
+ * Generates a document fragment with a button for each of the provided genres,
+ * labelled with the genre name and holding the genre ID in its `data-genre`
+ * attribute, which the detail dialog uses to run a search for that genre.
+ *
+ * @param {string[]} genreIds - The genre IDs of a book.
+ * @returns {DocumentFragment} A document fragment containing the genre
+ * buttons.
+ */
+export const createGenreChipsHTML = (genreIds) => {
+	const chipsFragment = document.createDocumentFragment();
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const id of genreIds) {
+		const chipElement = document.createElement("button");
+
+		chipElement.className = "overlay__chip";
+		chipElement.dataset.genre = id;
+		chipElement.innerText = genres[id];
+		chipsFragment.appendChild(chipElement);
+	}
+
+	return chipsFragment;
+};
+
+// createRelatedBooksHTML
+
+/**
+ * Generates a document fragment with a small preview for each of the provided
+ * books, showing the cover and title, for the "More like this" strip of the
+ * detail dialog. The previews hold the book ID in their `data-preview`
+ * attribute, just like the book previews of the book list, so that each book
+ * can be opened from the strip.
+ *
+ * @param {import("./books-preview.js").BookLibrary} relatedBooks - The books
+ * to show.
+ * @returns {DocumentFragment} A document fragment containing the previews.
+ */
+export const createRelatedBooksHTML = (relatedBooks) => {
+	const relatedFragment = document.createDocumentFragment();
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const { id, image, title } of relatedBooks) {
+		const element = document.createElement("button");
+		const imageElement = document.createElement("img");
+		const titleElement = document.createElement("span");
+
+		element.className = "overlay__related-item";
+		element.dataset.preview = id;
+		imageElement.className = "overlay__related-image";
+		imageElement.src = image;
+		imageElement.alt = "";
+		imageElement.loading = "lazy";
+		titleElement.className = "overlay__related-name";
+		titleElement.innerText = title;
+
+		element.append(imageElement, titleElement);
+		relatedFragment.appendChild(element);
+	}
+
+	return relatedFragment;
+};
@@ -2,7 +2,13 @@
 import disableListButton from "./helpers.js";
 import book from "./dom-manipulation.js";
 import { books, authors } from "./data.js";
+import { DEFAULT_SORT_ORDER, sortBooks } from "./sort-books.js";
+import createVirtualGrid from "./virtual-grid.js";
 
+/**
+ * The number of books on a page of the book catalog, unless the user picks a
+ * different page size in the settings, see {@link BooksPreview.pageSize}.
+ */
 export const BOOKS_PER_PAGE = 36;
 
 /**
@@ -22,55 +28,51 @@ export const BOOKS_PER_PAGE = 36;
  * @typedef {BookItem[]} BookLibrary - An array representing a collection of book items, see {@link BookItem}.
  */
 
-// createBookPreviewsHTML
+// getPageBooks
 
 /**
- * This function accepts a library of books as an `object`, extracts a specific
- * range of books, generates book previews in the form of button elements,
- * appends these previews to a `documentFragment` object, and finally returns
- * the `documentFragment`.
+ * Extracts the books of a single page of the book catalog from a library of
+ * books.
  *
  * @param {BookLibrary} booksSource - The library of books.
- * @param {number} [pageNum = 0] - The current page number of the book catalog.
- * By default, the `pageNum` is set to `0`. When creating the first book
- * previews fragment, the `pageNum` should be omitted, or `0` can be passed as
- * an argument, as this book previews fragment is to be added to the first page
- * of the book catalog section of the app. Thereafter, the function, which
- * should now include a `pageNum` argument greater than the default value,
- * should be invoked every time a user clicks the {@link book.list.button}
- * button to load more books, which creates additional book previews fragments.
- * @returns {DocumentFragment} A `documentFragment` containing a maximum of 36
- * newly created book previews ready to be added to the HTML DOM for user
- * display.
+ * @param {number} pageNum - The page number of the book catalog, where `0` is
+ * the first page.
+ * @param {number} pageSize - The number of books on a page.
+ * @returns {BookLibrary} A maximum of `pageSize` books.
  */
-const createBookPreviewsHTML = (booksSource, pageNum = 0) => {
-	const bookPreviewsFragment = document.createDocumentFragment();
-	const startingRange = pageNum * BOOKS_PER_PAGE;
-	const endingRange = (pageNum + 1) * BOOKS_PER_PAGE;
-	const extractedBooks = booksSource.slice(startingRange, endingRange);
-
-	// eslint-disable-next-line no-restricted-syntax
-	for (const { author, id, image, title } of extractedBooks) {
-		const element = document.createElement("button");
-		element.classList = "preview";
-		element.setAttribute("data-preview", id);
-
-		element.innerHTML = `
-			<img
-				class="preview__image"
-				src="${image}"
-			/>
-
-			<div class="preview__info">
-				<h3 class="preview__title">${title}</h3>
-				<div class="preview__author">${authors[author]}</div>
-			</div>
-		`;
-
-		bookPreviewsFragment.appendChild(element);
-	}
-
-	return bookPreviewsFragment;
+const getPageBooks = (booksSource, pageNum, pageSize) =>
+	booksSource.slice(pageNum * pageSize, (pageNum + 1) * pageSize);
+
+// createBookPreviewHTML
+
+/**
+ * This function accepts a single book and generates its book preview in the
+ * form of a button element. It is called by the {@link createVirtualGrid}
+ * renderer of the book list whenever the book scrolls into view, so only the
+ * previews of the visible books exist in the HTML DOM at any time.
+ *
+ * @param {BookItem} singleBook - The book to create the preview of.
+ * @returns {HTMLButtonElement} A newly created book preview ready to be added
+ * to the HTML DOM for user display.
+ */
+const createBookPreviewHTML = ({ author, id, image, title }) => {
+	const element = document.createElement("button");
+	element.classList = "preview";
+	element.setAttribute("data-preview", id);
+
+	element.innerHTML = `
+		<img
+			class="preview__image"
+			src="${image}"
+		/>
+
+		<div class="preview__info">
+			<h3 class="preview__title">${title}</h3>
+			<div class="preview__author">${authors[author]}</div>
+		</div>
+	`;
+
+	return element;
 };
 
 // createBooksPreview
@@ -87,21 +89,80 @@ const createBookPreviewsHTML = (booksSource, pageNum = 0) => {
  * @property {BookLibrary} currentBooksSource - The current library or source of
  * books.
  *
+ * @property {BookLibrary} sortedBooksSource - The current library of books in
+ * the order they are shown in, see {@link sortOrder}. Read-only.
+ *
+ * @property {import("./sort-books.js").SortOrder} sortOrder - The order in
+ * which the books of the current library are shown. Changing it (or the
+ * library itself) re-sorts the library once, so that every page loaded
+ * afterwards continues in the same order.
+ *
+ * @property {number} pageSize - The number of books on a page. Changing it
+ * recalculates the {@link currentPage}, so that restoring it with
+ * {@link restorePage} keeps the same books in view.
+ *
+ * @property {boolean} isPaged - Whether the book list shows a single numbered
+ * page at a time, see {@link showPage}, instead of appending pages to the
+ * ones already loaded. The {@link book.list.pager} is kept up to date in both
+ * cases.
+ *
+ * @property {number} pageCount - The total number of pages of the current
+ * library of books. Read-only.
+ *
  * @property {EmptyFn} loadFirstPage - Clears the book list section and loads
- * the initial book preview fragment to the {@link book.list.items} HTML
- * Element. Updates the count of remaining books after loading.
+ * the books of the first page into the {@link book.list.items} HTML Element.
+ * Updates the count of remaining books after loading.
  *
  * @property {EmptyFn} loadNextPage - Loads additional books onto the next page,
  * updates the page number internally, and displays the count of remaining books
  * that the user can load. If no books are left to load, it disables the
  * {@link book.list.button}.
+ *
+ * @property {(pageNum: number) => void} showPage - Replaces the book list with
+ * the books of a single page, where `1` is the first page. Page numbers
+ * outside the existing pages show the first or last page instead.
+ *
+ * @property {(index: number) => void} loadBook - Makes sure that the book at
+ * the provided index of the {@link sortedBooksSource} is loaded into the book
+ * list, by loading more pages, or by showing the page it is on when
+ * {@link isPaged}.
+ *
+ * @property {(pageNum: number) => void} restorePage - Reloads the book list so
+ * that it shows the page with the provided number, see {@link currentPage}:
+ * when {@link isPaged}, only that page is shown, and otherwise every page up
+ * to it is loaded, or all books if there are fewer pages. Used to restore a
+ * book list from a saved state.
+ *
+ * @property {(index: number) => void} focusPreview - Moves keyboard focus to
+ * the book preview at the provided index of the books loaded into the book
+ * list, where `0` is the first book of the page shown when {@link isPaged}.
+ *
+ * @property {(id: string) => boolean} focusBook - Moves keyboard focus to the
+ * preview of the book with the provided ID, if it is loaded into the book
+ * list. Returns whether it is.
+ *
+ * @property {(direction: 1 | -1) => void} onPageOut - Called when the user
+ * presses Page Down on the last row of book previews (`1`), or Page Up on the
+ * first row (`-1`), so that more books can be loaded. Does nothing by
+ * default.
+ *
+ * @property {() => void} refreshLayout - Lays out the book previews again,
+ * e.g. after the text size changed, which changes the height of every preview.
+ *
+ * @property {number} currentPage - The number of the page shown in the
+ * {@link book.list.items} HTML Element. When {@link isPaged}, it is the only
+ * page shown, and otherwise it is the last page loaded, which makes it the
+ * number of loaded pages as well. Only the previews of the visible books are
+ * rendered, but the loaded pages determine how far the book list can be
+ * scrolled. Read-only.
  */
 
 /**
  * Factory function that creates and returns a books preview object from the
  * provided books source data. The returned methods offer a complete solution
- * for generating a book preview fragment from the provided books source,
- * appending it to the HTML DOM, and updating the number of remaining books,
+ * for loading pages of books from the provided books source into a
+ * {@link createVirtualGrid} renderer, which keeps only the visible book
+ * previews in the HTML DOM, and updating the number of remaining books,
  * depending on whether it's the first page or additional pages to be loaded.
  * This function enables the setting and retrieval of the current books source,
  * providing a flexible way to manage the books source reference data at all
@@ -113,20 +174,25 @@ const createBookPreviewsHTML = (booksSource, pageNum = 0) => {
 const createBooksPreview = (booksSource) => {
 	const current = {
 		page: 1,
+		pageSize: BOOKS_PER_PAGE,
+		isPaged: false,
 		booksSource,
+		sortOrder: DEFAULT_SORT_ORDER,
+		sortedBooksSource: booksSource,
+		onPageOut: () => {},
 		/**
 		 * Performs a conditional check to determine the number of books available in
 		 * the {@link current.booksSource} reference book library. This value is
 		 * compared against the number of books loaded in the app, calculated based on
-		 * the {@link current.page} number multiplied by the fixed
-		 * {@link BOOKS_PER_PAGE} value. The result is then appended to the
+		 * the {@link current.page} number multiplied by the
+		 * {@link current.pageSize} value. The result is then appended to the
 		 * {@link book.list.button} inner HTML and displayed to the user. If there
 		 * aren't any remaining books in the reference book library, the function will
 		 * invoke the {@link disableListButton} function.
 		 */
 		updateRemainingBooks() {
 			const checkBooksInLibrary =
-				this.booksSource.length - this.page * BOOKS_PER_PAGE;
+				this.sortedBooksSource.length - this.page * this.pageSize;
 			const remainingBooks =
 				(checkBooksInLibrary > 0 && checkBooksInLibrary) || 0;
 
@@ -136,23 +202,132 @@ const createBooksPreview = (booksSource) => {
 			`;
 
 			if (remainingBooks === 0) disableListButton();
+			else book.list.button.disabled = false;
+		},
+		/**
+		 * Shows the {@link current.page} number and the total number of pages in
+		 * the {@link book.list.pager}, and disables the pager buttons that would
+		 * lead past the first or last page.
+		 */
+		updatePager() {
+			const pageCount = this.getPageCount();
+
+			book.list.pagerInput.value = this.page;
+			book.list.pagerInput.max = pageCount;
+			book.list.pagerTotal.innerText = pageCount;
+			book.list.pagerFirst.disabled = this.page <= 1;
+			book.list.pagerPrevious.disabled = this.page <= 1;
+			book.list.pagerNext.disabled = this.page >= pageCount;
+			book.list.pagerLast.disabled = this.page >= pageCount;
+		},
+		/**
+		 * Returns the total number of pages of the
+		 * {@link current.sortedBooksSource}, which is at least `1`, even for an
+		 * empty library.
+		 */
+		getPageCount() {
+			return Math.max(
+				1,
+				Math.ceil(this.sortedBooksSource.length / this.pageSize)
+			);
+		},
+		/**
+		 * Sorts the {@link current.booksSource} according to the
+		 * {@link current.sortOrder} and stores the result as the
+		 * {@link current.sortedBooksSource}, which all pages are loaded from.
+		 */
+		updateSortedBooks() {
+			this.sortedBooksSource = sortBooks(this.booksSource, this.sortOrder);
 		},
 	};
+	const previewGrid = createVirtualGrid({
+		container: book.list.items,
+		renderItem: createBookPreviewHTML,
+		spacerClassName: "list__spacer",
+		onPageOut: (direction) => current.onPageOut(direction),
+	});
 
 	const loadFirstPage = () => {
 		if (current.page !== 1) current.page = 1;
 
-		book.list.items.innerHTML = "";
-		book.list.items.appendChild(createBookPreviewsHTML(current.booksSource));
+		previewGrid.reset(
+			getPageBooks(current.sortedBooksSource, 0, current.pageSize)
+		);
 		current.updateRemainingBooks();
+		current.updatePager();
 	};
 
 	const loadNextPage = () => {
-		book.list.items.appendChild(
-			createBookPreviewsHTML(current.booksSource, current.page)
+		previewGrid.append(
+			getPageBooks(current.sortedBooksSource, current.page, current.pageSize)
 		);
 		current.page += 1;
 		current.updateRemainingBooks();
+		current.updatePager();
+	};
+
+	const showPage = (pageNum) => {
+		current.page = Math.min(
+			Math.max(1, Math.trunc(pageNum) || 1),
+			current.getPageCount()
+		);
+
+		previewGrid.reset(
+			getPageBooks(
+				current.sortedBooksSource,
+				current.page - 1,
+				current.pageSize
+			)
+		);
+		current.updateRemainingBooks();
+		current.updatePager();
+	};
+
+	const loadBook = (index) => {
+		const pageNum = Math.floor(index / current.pageSize) + 1;
+
+		if (current.isPaged) {
+			if (pageNum !== current.page) showPage(pageNum);
+			return;
+		}
+
+		while (current.page < pageNum) loadNextPage();
+	};
+
+	const restorePage = (pageNum) => {
+		if (current.isPaged) {
+			showPage(pageNum);
+			return;
+		}
+
+		loadFirstPage();
+		while (current.page < Math.min(pageNum, current.getPageCount())) {
+			loadNextPage();
+		}
+	};
+
+	const focusPreview = (index) => {
+		previewGrid.focusItem(index);
+	};
+
+	const focusBook = (id) => {
+		const index = current.sortedBooksSource.findIndex(
+			(singleBook) => singleBook.id === id
+		);
+		const firstLoaded = current.isPaged
+			? (current.page - 1) * current.pageSize
+			: 0;
+
+		if (index < firstLoaded || index >= current.page * current.pageSize) {
+			return false;
+		}
+
+		focusPreview(index - firstLoaded);
+		return true;
+	};
+
+	const refreshLayout = () => {
+		previewGrid.measure();
 	};
 
 	return {
@@ -161,9 +336,57 @@ const createBooksPreview = (booksSource) => {
 		},
 		set currentBooksSource(newBooksSource) {
 			current.booksSource = newBooksSource;
+			current.updateSortedBooks();
+		},
+		get sortedBooksSource() {
+			return current.sortedBooksSource;
+		},
+		get sortOrder() {
+			return current.sortOrder;
+		},
+		set sortOrder(newSortOrder) {
+			current.sortOrder = newSortOrder;
+			current.updateSortedBooks();
+		},
+		get pageSize() {
+			return current.pageSize;
+		},
+		set pageSize(newPageSize) {
+			// The first book of the page shown, or the last book loaded, stays in
+			// the pages that are reloaded.
+			const anchorBook = current.isPaged
+				? (current.page - 1) * current.pageSize
+				: current.page * current.pageSize - 1;
+
+			current.pageSize = newPageSize;
+			current.page = Math.floor(anchorBook / newPageSize) + 1;
+		},
+		get isPaged() {
+			return current.isPaged;
+		},
+		set isPaged(newIsPaged) {
+			current.isPaged = newIsPaged;
+		},
+		get pageCount() {
+			return current.getPageCount();
+		},
+		get currentPage() {
+			return current.page;
+		},
+		get onPageOut() {
+			return current.onPageOut;
+		},
+		set onPageOut(newOnPageOut) {
+			current.onPageOut = newOnPageOut;
 		},
 		loadFirstPage,
 		loadNextPage,
+		showPage,
+		loadBook,
+		restorePage,
+		focusPreview,
+		focusBook,
+		refreshLayout,
 	};
 };
 
@@ -0,0 +1,87 @@
+/* eslint-disable import/extensions */
+import { books } from "./data.js";
+
+/**
+ * An empty library, returned for authors and genres without any books.
+ *
+ * @type {import("./books-preview.js").BookLibrary}
+ */
+const NO_BOOKS = Object.freeze([]);
+
+// createIndex
+
+/**
+ * Groups the books of a library by one or more keys of each book, keeping the
+ * order of the library within each group. The groups are frozen, as they are
+ * shared by every caller of the lookups below.
+ *
+ * @param {import("./books-preview.js").BookLibrary} booksSource - The library
+ * of books to index.
+ * @param {(singleBook: import("./books-preview.js").BookItem) => string[]}
+ * getKeys - Returns the keys to file a book under.
+ * @returns {Map<string, import("./books-preview.js").BookLibrary>} The books
+ * filed under each key.
+ */
+const createIndex = (booksSource, getKeys) => {
+	const index = new Map();
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const singleBook of booksSource) {
+		// eslint-disable-next-line no-restricted-syntax
+		for (const key of getKeys(singleBook)) {
+			if (!index.has(key)) index.set(key, []);
+			index.get(key).push(singleBook);
+		}
+	}
+
+	index.forEach(Object.freeze);
+	return index;
+};
+
+/**
+ * The {@link books} library indexed by book ID, author ID and genre ID. The
+ * indexes are built once when the module is first imported, so that every
+ * lookup afterwards takes constant time instead of a scan over the library.
+ */
+const booksById = new Map(
+	books.map((singleBook) => [singleBook.id, singleBook])
+);
+const booksByAuthor = createIndex(books, ({ author }) => [author]);
+const booksByGenre = createIndex(books, ({ genres }) => genres);
+
+// getBook
+
+/**
+ * Looks up a book of the {@link books} library by its ID.
+ *
+ * @param {string} id - The book ID.
+ * @returns {import("./books-preview.js").BookItem | null} The book, or `null`
+ * if there is no book with that ID.
+ */
+export const getBook = (id) => booksById.get(id) || null;
+
+// getBooksByAuthor
+
+/**
+ * Looks up all books of the {@link books} library by an author, in library
+ * order. The returned array is shared and frozen, so it has to be copied
+ * before it is sorted.
+ *
+ * @param {string} id - The author ID.
+ * @returns {import("./books-preview.js").BookLibrary} The books by the author,
+ * or an empty array for an unknown author.
+ */
+export const getBooksByAuthor = (id) => booksByAuthor.get(id) || NO_BOOKS;
+
+// getBooksByGenre
+
+/**
+ * Looks up all books of the {@link books} library in a genre, in library
+ * order. The returned array is shared and frozen, so it has to be copied
+ * before it is sorted.
+ *
+ * @param {string} id - The genre ID.
+ * @returns {import("./books-preview.js").BookLibrary} The books in the genre,
+ * or an empty array for an unknown genre.
+ */
+export const getBooksByGenre = (id) => booksByGenre.get(id) || NO_BOOKS;
@@ -1,5 +1,6 @@
 /* eslint-disable import/extensions */
 import { authors, genres } from "./data.js";
+import { compareAuthorNames, getAuthorSurname } from "./sort-books.js";
 
 /**
  * Finds and returns the HTML element with the provided data attribute. Throws
@@ -30,6 +31,9 @@ const getHTML = (dataAttribute) => {
  * function/ purpose they serve in the app. *
  */
 const book = {
+	meta: {
+		themeColor: getHTML("data-theme-color"),
+	},
 	header: {
 		search: getHTML("data-header-search"),
 		settings: getHTML("data-header-settings"),
@@ -37,27 +41,88 @@ const book = {
 	list: {
 		dialog: getHTML("data-list-active"),
 		items: getHTML("data-list-items"),
+		sentinel: getHTML("data-list-sentinel"),
+		sort: getHTML("data-list-sort"),
 		message: getHTML("data-list-message"),
+		suggestion: getHTML("data-list-suggestion"),
+		suggestionButton: getHTML("data-list-suggestion-button"),
 		title: getHTML("data-list-title"),
 		blur: getHTML("data-list-blur"),
 		image: getHTML("data-list-image"),
 		subtitle: getHTML("data-list-subtitle"),
+		author: getHTML("data-list-author"),
+		year: getHTML("data-list-year"),
+		genres: getHTML("data-list-genres"),
+		published: getHTML("data-list-published"),
+		pages: getHTML("data-list-pages"),
+		readingTime: getHTML("data-list-reading-time"),
+		popularity: getHTML("data-list-popularity"),
 		description: getHTML("data-list-description"),
+		related: getHTML("data-list-related"),
 		button: getHTML("data-list-button"),
+		pager: getHTML("data-list-pager"),
+		pagerFirst: getHTML("data-list-pager-first"),
+		pagerPrevious: getHTML("data-list-pager-previous"),
+		pagerInput: getHTML("data-list-pager-input"),
+		pagerTotal: getHTML("data-list-pager-total"),
+		pagerNext: getHTML("data-list-pager-next"),
+		pagerLast: getHTML("data-list-pager-last"),
 		close: getHTML("data-list-close"),
+		previous: getHTML("data-list-previous"),
+		next: getHTML("data-list-next"),
+	},
+	author: {
+		dialog: getHTML("data-author-overlay"),
+		name: getHTML("data-author-name"),
+		summary: getHTML("data-author-summary"),
+		genres: getHTML("data-author-genres"),
+		books: getHTML("data-author-books"),
+		close: getHTML("data-author-close"),
+		search: getHTML("data-author-search"),
 	},
 	search: {
 		dialog: getHTML("data-search-overlay"),
 		form: getHTML("data-search-form"),
 		title: getHTML("data-search-title"),
+		suggestions: getHTML("data-search-suggestions"),
+		suggestionsStatus: getHTML("data-search-suggestions-status"),
+		mode: getHTML("data-search-mode"),
+		query: getHTML("data-search-query"),
+		queryError: getHTML("data-search-query-error"),
 		genres: getHTML("data-search-genres"),
 		authors: getHTML("data-search-authors"),
+		authorsSummary: getHTML("data-search-authors-summary"),
+		authorsFilter: getHTML("data-search-authors-filter"),
+		authorsClear: getHTML("data-search-authors-clear"),
+		authorsOptions: getHTML("data-search-authors-options"),
+		authorsEmpty: getHTML("data-search-authors-empty"),
 		cancel: getHTML("data-search-cancel"),
+		history: getHTML("data-search-history"),
+		saveName: getHTML("data-search-save-name"),
+		save: getHTML("data-search-save"),
+		deleteSaved: getHTML("data-search-delete"),
 	},
 	settings: {
 		dialog: getHTML("data-settings-overlay"),
 		form: getHTML("data-settings-form"),
 		theme: getHTML("data-settings-theme"),
+		themeAccent: getHTML("data-settings-theme-accent"),
+		themeSurface: getHTML("data-settings-theme-surface"),
+		themeText: getHTML("data-settings-theme-text"),
+		themePreview: getHTML("data-settings-theme-preview"),
+		themeName: getHTML("data-settings-theme-name"),
+		themeSave: getHTML("data-settings-theme-save"),
+		themeDelete: getHTML("data-settings-theme-delete"),
+		themeExport: getHTML("data-settings-theme-export"),
+		themeImport: getHTML("data-settings-theme-import"),
+		themeFile: getHTML("data-settings-theme-file"),
+		themeError: getHTML("data-settings-theme-error"),
+		loading: getHTML("data-settings-loading"),
+		pageSize: getHTML("data-settings-page-size"),
+		textSize: getHTML("data-settings-text-size"),
+		lineSpacing: getHTML("data-settings-line-spacing"),
+		motion: getHTML("data-settings-motion"),
+		font: getHTML("data-settings-font"),
 		cancel: getHTML("data-settings-cancel"),
 	},
 };
@@ -66,23 +131,17 @@ const book = {
 
 /**
  * Generates a document fragment containing option elements for a collection of
- * genres or authors.
+ * genres or authors. The options are for a select that allows several values
+ * to be chosen, which matches any value when nothing is chosen, so there is no
+ * option for all of them.
  *
  * @param {Object<string, string>} bookAttributeSource - An object with a
  * collection of either genres or authors.
- * @param {"Genres" | "Authors"} attributeType - The type of book attribute
- * source (`"Genres"` or `"Authors"`).
  * @returns {DocumentFragment} A document fragment containing option elements to
  * be added to the HTML DOM and displayed to the user.
  */
-const createBookAttributeHTML = (bookAttributeSource, attributeType) => {
+const createBookAttributeHTML = (bookAttributeSource) => {
 	const bookAttributeFragment = document.createDocumentFragment();
-	const firstOptionElement = document.createElement("option");
-
-	firstOptionElement.value = "any";
-	firstOptionElement.innerText = `All ${attributeType}`;
-
-	bookAttributeFragment.appendChild(firstOptionElement);
 
 	// eslint-disable-next-line no-restricted-syntax
 	for (const [id, name] of Object.entries(bookAttributeSource)) {
@@ -95,10 +154,55 @@ const createBookAttributeHTML = (bookAttributeSource, attributeType) => {
 	return bookAttributeFragment;
 };
 
+// createAuthorPickerHTML
+
+/**
+ * Generates a document fragment containing a checkbox list item for every
+ * author, sorted by surname and labelled surname first ("Bryson, Bill"), for
+ * the searchable author picker. Each item holds an empty book count element
+ * that is filled in by the author facets, and the lowercase name of the
+ * author, which the picker's filter field is matched against.
+ *
+ * @param {Object<string, string>} authorSource - An object with a collection of
+ * authors.
+ * @returns {DocumentFragment} A document fragment containing list items to be
+ * added to the HTML DOM and displayed to the user.
+ */
+const createAuthorPickerHTML = (authorSource) => {
+	const authorPickerFragment = document.createDocumentFragment();
+	const sortedAuthors = Object.entries(authorSource).sort(([, a], [, b]) =>
+		compareAuthorNames(a, b)
+	);
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const [id, name] of sortedAuthors) {
+		const surname = getAuthorSurname(name);
+		const givenNames = name.slice(0, name.lastIndexOf(surname)).trim();
+		const itemElement = document.createElement("li");
+
+		itemElement.className = "overlay__picker-option";
+		itemElement.dataset.name = name.toLowerCase();
+		itemElement.innerHTML = /* html */ `
+			<label class="overlay__picker-label">
+				<input type="checkbox" name="author" value="${id}" />
+				<span class="overlay__picker-name"></span>
+				<span class="overlay__picker-count" data-facet-count></span>
+			</label>
+		`;
+		itemElement.querySelector(".overlay__picker-name").innerText = givenNames
+			? `${surname}, ${givenNames}`
+			: surname;
+
+		authorPickerFragment.appendChild(itemElement);
+	}
+
+	return authorPickerFragment;
+};
+
 /* The below lines of code create genres and authors fragments which are then
 appended to the HTML DOM when the app loads. 
 */
-book.search.genres.appendChild(createBookAttributeHTML(genres, "Genres"));
-book.search.authors.appendChild(createBookAttributeHTML(authors, "Authors"));
+book.search.genres.appendChild(createBookAttributeHTML(genres));
+book.search.authorsOptions.appendChild(createAuthorPickerHTML(authors));
 
 export default book;
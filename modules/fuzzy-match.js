@@ -0,0 +1,59 @@
+// getEditDistance
+
+/**
+ * Calculates the edit distance between two strings: the number of single
+ * character insertions, deletions, substitutions or transpositions of two
+ * adjacent characters needed to turn one string into the other (the optimal
+ * string alignment distance). As only small distances are of interest when
+ * correcting typos, the calculation stops early and returns `Infinity` as soon
+ * as the distance is known to exceed `maxDistance`.
+ *
+ * @param {string} source - The string to transform.
+ * @param {string} target - The string to transform `source` into.
+ * @param {number} [maxDistance = Infinity] - The largest distance of interest.
+ * @returns {number} The edit distance, or `Infinity` if it exceeds
+ * `maxDistance`.
+ */
+const getEditDistance = (source, target, maxDistance = Infinity) => {
+	if (Math.abs(source.length - target.length) > maxDistance) return Infinity;
+
+	let previousRow = null;
+	let row = Array.from({ length: target.length + 1 }, (_, i) => i);
+
+	for (let i = 1; i <= source.length; i += 1) {
+		const nextRow = [i];
+		let rowMinimum = i;
+
+		for (let j = 1; j <= target.length; j += 1) {
+			const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+			let distance = Math.min(
+				row[j] + 1,
+				nextRow[j - 1] + 1,
+				row[j - 1] + cost
+			);
+
+			if (
+				previousRow &&
+				i > 1 &&
+				j > 1 &&
+				source[i - 1] === target[j - 2] &&
+				source[i - 2] === target[j - 1]
+			) {
+				distance = Math.min(distance, previousRow[j - 2] + 1);
+			}
+
+			nextRow.push(distance);
+			rowMinimum = Math.min(rowMinimum, distance);
+		}
+
+		if (rowMinimum > maxDistance) return Infinity;
+
+		previousRow = row;
+		row = nextRow;
+	}
+
+	const distance = row[target.length];
+	return distance > maxDistance ? Infinity : distance;
+};
+
+export default getEditDistance;
@@ -0,0 +1,60 @@
+// createInfiniteScroll
+
+/**
+ * @typedef {object} InfiniteScroll - Loads more content whenever the end of a
+ * list scrolls into view.
+ * @property {() => void} enable - Starts watching the end of the list.
+ * @property {() => void} disable - Stops watching the end of the list.
+ */
+
+/**
+ * Factory function that watches a sentinel element placed right after a list
+ * with an `IntersectionObserver`, and calls `onLoadMore` whenever the sentinel
+ * comes within a screen's reach of the viewport, so that the next page is
+ * loaded before the user gets to the end of the list. An observer only reports
+ * changes in visibility, so the sentinel is observed afresh after every load:
+ * if the new page was too short to push the sentinel out of view, it is
+ * reported as visible again and another page is loaded straight away. In
+ * browsers without `IntersectionObserver`, enabling does nothing, and loading
+ * is left to the existing controls.
+ *
+ * @param {object} options - The infinite scroll options.
+ * @param {HTMLElement} options.sentinel - The element that marks the end of
+ * the list.
+ * @param {() => boolean} options.canLoadMore - Returns whether there is
+ * anything left to load.
+ * @param {() => void} options.onLoadMore - Loads the next page of the list.
+ * @returns {InfiniteScroll} The created infinite scroll object.
+ */
+const createInfiniteScroll = ({ sentinel, canLoadMore, onLoadMore }) => {
+	/** @type {IntersectionObserver | null} */
+	let observer = null;
+
+	const handleIntersection = ([entry]) => {
+		if (!entry.isIntersecting || !canLoadMore()) return;
+
+		onLoadMore();
+		observer.unobserve(sentinel);
+		observer.observe(sentinel);
+	};
+
+	const enable = () => {
+		if (observer || !("IntersectionObserver" in window)) return;
+
+		observer = new IntersectionObserver(handleIntersection, {
+			rootMargin: "0px 0px 100% 0px",
+		});
+		observer.observe(sentinel);
+	};
+
+	const disable = () => {
+		if (!observer) return;
+
+		observer.disconnect();
+		observer = null;
+	};
+
+	return { enable, disable };
+};
+
+export default createInfiniteScroll;
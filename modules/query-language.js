@@ -0,0 +1,527 @@
+/* eslint-disable import/extensions */
+import { authors, genres } from "./data.js";
+import getEditDistance from "./fuzzy-match.js";
+import { tokenize } from "./search-index.js";
+
+/**
+ * @typedef {"title" | "author" | "genre" | "pages" | "year" | "popularity"}
+ * QueryField - The book attributes that can be matched with a `field:value`
+ * expression in an advanced query.
+ */
+
+/**
+ * @typedef {object} QueryToken - A lexical token of an advanced query.
+ * @property {"lparen" | "rparen" | "not" | "or" | "and" | "term" | "field"}
+ * type - The kind of token.
+ * @property {number} position - The index of the first character of the token
+ * in the query.
+ * @property {string} [value] - The text of a `term` or `field` token, without
+ * any quotes.
+ * @property {boolean} [quoted] - Whether the value was written as a quoted
+ * phrase.
+ * @property {string} [field] - The field name of a `field` token.
+ */
+
+/**
+ * @typedef {object} QueryNode - A node of the syntax tree of an advanced
+ * query.
+ * @property {"and" | "or" | "not" | "text" | "field"} type - The kind of node.
+ * @property {QueryNode[]} [children] - The operands of an `and` or `or` node.
+ * @property {QueryNode} [child] - The operand of a `not` node.
+ * @property {QueryField} [field] - The field matched by a `field` node.
+ * @property {string} [value] - The value matched by a `text` or `field` node.
+ * @property {boolean} [quoted] - Whether the value was a quoted phrase.
+ * @property {number} position - The index in the query that the node starts
+ * at, used in error messages.
+ */
+
+/**
+ * @callback BookPredicate
+ * @param {import("./books-preview.js").BookItem} singleBook - The book to test.
+ * @returns {boolean} Whether the book matches the query.
+ */
+
+/**
+ * The field names that may be used in `field:value` expressions.
+ *
+ * @type {QueryField[]}
+ */
+const QUERY_FIELDS = [
+	"title",
+	"author",
+	"genre",
+	"pages",
+	"year",
+	"popularity",
+];
+
+/**
+ * An error thrown when an advanced query can't be parsed or compiled. The
+ * message explains what is wrong in terms the user can act on, and includes
+ * the position in the query where the problem was found.
+ */
+export class QuerySyntaxError extends Error {
+	/**
+	 * @param {string} message - A description of the problem.
+	 * @param {number} position - The index in the query where the problem was
+	 * found.
+	 */
+	constructor(message, position) {
+		super(`${message} (at character ${position + 1})`);
+		this.name = "QuerySyntaxError";
+		this.position = position;
+	}
+}
+
+// tokenizeQuery
+
+/**
+ * Splits an advanced query into {@link QueryToken} objects. Words are split on
+ * whitespace and parentheses, a `-` in front of a word negates it, text in
+ * double quotes is kept together as a phrase, and a word containing a colon is
+ * a `field:value` expression, whose value may also be quoted.
+ *
+ * @param {string} query - The advanced query entered by the user.
+ * @returns {QueryToken[]} The tokens of the query.
+ * @throws {QuerySyntaxError} If a quoted phrase is never closed.
+ */
+const tokenizeQuery = (query) => {
+	const tokens = [];
+	let index = 0;
+
+	const readQuoted = () => {
+		const start = index;
+		const end = query.indexOf('"', start + 1);
+
+		if (end === -1) {
+			throw new QuerySyntaxError('Missing closing quote (")', start);
+		}
+
+		index = end + 1;
+		return query.slice(start + 1, end);
+	};
+
+	const readWord = () => {
+		const start = index;
+		while (index < query.length && !/[\s()"]/.test(query[index])) index += 1;
+		return query.slice(start, index);
+	};
+
+	while (index < query.length) {
+		const character = query[index];
+		const position = index;
+
+		if (/\s/.test(character)) {
+			index += 1;
+		} else if (character === "(") {
+			tokens.push({ type: "lparen", position });
+			index += 1;
+		} else if (character === ")") {
+			tokens.push({ type: "rparen", position });
+			index += 1;
+		} else if (character === "-" && /[^\s)]/.test(query[index + 1] || " ")) {
+			tokens.push({ type: "not", position });
+			index += 1;
+		} else if (character === '"') {
+			tokens.push({
+				type: "term",
+				value: readQuoted(),
+				quoted: true,
+				position,
+			});
+		} else {
+			const word = readWord();
+			const colon = word.indexOf(":");
+
+			if (word === "OR" || word === "AND") {
+				tokens.push({ type: word.toLowerCase(), position });
+			} else if (colon > 0) {
+				const field = word.slice(0, colon).toLowerCase();
+				let value = word.slice(colon + 1);
+				let quoted = false;
+
+				if (value === "" && query[index] === '"') {
+					value = readQuoted();
+					quoted = true;
+				}
+
+				tokens.push({ type: "field", field, value, quoted, position });
+			} else {
+				tokens.push({ type: "term", value: word, quoted: false, position });
+			}
+		}
+	}
+
+	return tokens;
+};
+
+// parseQuery
+
+/**
+ * Parses an advanced query into a {@link QueryNode} syntax tree, following
+ * this grammar, in which expressions next to each other must all match:
+ *
+ * ```text
+ * query      = or
+ * or         = and { "OR" and }
+ * and        = unary { ["AND"] unary }
+ * unary      = "-" unary | primary
+ * primary    = "(" or ")" | field ":" value | word | '"' phrase '"'
+ * ```
+ *
+ * @param {string} query - The advanced query entered by the user.
+ * @returns {QueryNode | null} The syntax tree of the query, or `null` if the
+ * query is empty.
+ * @throws {QuerySyntaxError} If the query doesn't follow the grammar.
+ */
+export const parseQuery = (query) => {
+	const tokens = tokenizeQuery(query);
+	let index = 0;
+
+	const peek = () => tokens[index];
+	const endPosition = query.length;
+
+	/* eslint-disable no-use-before-define */
+	const parsePrimary = () => {
+		const token = peek();
+
+		if (!token) {
+			throw new QuerySyntaxError(
+				"Expected a search term at the end of the query",
+				endPosition
+			);
+		}
+
+		index += 1;
+
+		if (token.type === "lparen") {
+			const node = parseOr();
+
+			if (peek()?.type !== "rparen") {
+				throw new QuerySyntaxError(
+					'Missing closing parenthesis for the "(" here',
+					token.position
+				);
+			}
+
+			index += 1;
+			return node;
+		}
+
+		if (token.type === "term") {
+			return {
+				type: "text",
+				value: token.value,
+				quoted: token.quoted,
+				position: token.position,
+			};
+		}
+
+		if (token.type === "field") {
+			if (!QUERY_FIELDS.includes(token.field)) {
+				throw new QuerySyntaxError(
+					`Unknown field "${token.field}:". Use one of ${QUERY_FIELDS.map(
+						(field) => `${field}:`
+					).join(", ")}`,
+					token.position
+				);
+			}
+
+			if (token.value.trim() === "") {
+				throw new QuerySyntaxError(
+					`Expected a value after "${token.field}:"`,
+					token.position
+				);
+			}
+
+			return {
+				type: "field",
+				field: token.field,
+				value: token.value,
+				quoted: token.quoted,
+				position: token.position,
+			};
+		}
+
+		const description = {
+			rparen: 'Unexpected ")" without a matching "("',
+			or: 'Expected a search term before "OR"',
+			and: 'Expected a search term before "AND"',
+		};
+
+		throw new QuerySyntaxError(description[token.type], token.position);
+	};
+
+	const parseUnary = () => {
+		const token = peek();
+
+		if (token?.type === "not") {
+			index += 1;
+			return { type: "not", child: parseUnary(), position: token.position };
+		}
+
+		return parsePrimary();
+	};
+
+	const parseAnd = () => {
+		const children = [parseUnary()];
+
+		while (peek() && !["or", "rparen"].includes(peek().type)) {
+			if (peek().type === "and") index += 1;
+			children.push(parseUnary());
+		}
+
+		return children.length === 1
+			? children[0]
+			: { type: "and", children, position: children[0].position };
+	};
+
+	const parseOr = () => {
+		const children = [parseAnd()];
+
+		while (peek()?.type === "or") {
+			index += 1;
+			children.push(parseAnd());
+		}
+
+		return children.length === 1
+			? children[0]
+			: { type: "or", children, position: children[0].position };
+	};
+	/* eslint-enable no-use-before-define */
+
+	if (tokens.length < 1) return null;
+
+	const tree = parseOr();
+
+	if (peek()) {
+		throw new QuerySyntaxError(
+			'Unexpected ")" without a matching "("',
+			peek().position
+		);
+	}
+
+	return tree;
+};
+
+// compileNumericMatch
+
+/**
+ * Compiles the value of a numeric `field:value` expression into a function
+ * that tests a number. The value may be a number (`300`), a comparison
+ * (`<300`, `<=300`, `>300`, `>=300`, `=300`) or an inclusive range that is
+ * optionally open on one side (`2000..2010`, `2000..`, `..2010`).
+ *
+ * @param {QueryNode} node - The `field` node to compile.
+ * @returns {(value: number) => boolean} The compiled test.
+ * @throws {QuerySyntaxError} If the value isn't a valid number, comparison
+ * or range.
+ */
+const compileNumericMatch = ({ field, value, position }) => {
+	const comparison = value.match(/^(<=|>=|<|>|=)?(\d+)$/);
+	const range = value.match(/^(\d*)\.\.(\d*)$/);
+
+	if (comparison) {
+		const [, operator = "=", number] = comparison;
+		const limit = Number(number);
+		const tests = {
+			"<": (actual) => actual < limit,
+			"<=": (actual) => actual <= limit,
+			">": (actual) => actual > limit,
+			">=": (actual) => actual >= limit,
+			"=": (actual) => actual === limit,
+		};
+
+		return tests[operator];
+	}
+
+	if (range && (range[1] !== "" || range[2] !== "")) {
+		const min = range[1] === "" ? -Infinity : Number(range[1]);
+		const max = range[2] === "" ? Infinity : Number(range[2]);
+
+		if (min > max) {
+			throw new QuerySyntaxError(
+				`The range "${field}:${value}" starts after it ends`,
+				position
+			);
+		}
+
+		return (actual) => actual >= min && actual <= max;
+	}
+
+	throw new QuerySyntaxError(
+		`Expected a number, comparison (e.g. ${field}:<300) or range (e.g. ${field}:2000..2010) after "${field}:", but found "${value}"`,
+		position
+	);
+};
+
+// findGenreIds
+
+/**
+ * Finds the IDs of the genres named by the value of a `genre:` expression.
+ * Names are compared without regard to case, and spaces may be used in place
+ * of the hyphens in genre names (`genre:"science fiction"`).
+ *
+ * @param {QueryNode} node - The `genre` field node.
+ * @returns {string[]} The IDs of the matching genres.
+ * @throws {QuerySyntaxError} If no genre has the provided name. The message
+ * suggests the closest genre name when there is one.
+ */
+const findGenreIds = ({ value, position }) => {
+	const normalise = (name) => name.toLowerCase().replace(/[\s-]+/g, "-");
+	const wanted = normalise(value);
+	const entries = Object.entries(genres);
+	const ids = entries
+		.filter(([, name]) => normalise(name) === wanted)
+		.map(([id]) => id);
+
+	if (ids.length > 0) return ids;
+
+	const closest = entries
+		.map(([, name]) => ({
+			name,
+			distance: getEditDistance(wanted, normalise(name), 3),
+		}))
+		.sort((a, b) => a.distance - b.distance)[0];
+	const hint =
+		closest && closest.distance !== Infinity
+			? ` Did you mean genre:${closest.name.toLowerCase()}?`
+			: "";
+
+	throw new QuerySyntaxError(`Unknown genre "${value}".${hint}`, position);
+};
+
+/**
+ * The lowercase word tokens of the title, author name and description of each
+ * book that a free-text query term has been matched against, so that each
+ * book is only tokenized once.
+ *
+ * @type {WeakMap<import("./books-preview.js").BookItem, string[]>}
+ */
+const bookWords = new WeakMap();
+
+// getBookWords
+
+/**
+ * Returns the lowercase word tokens of the title, author name and description
+ * of a book, tokenizing them on first use.
+ *
+ * @param {import("./books-preview.js").BookItem} singleBook - The book.
+ * @returns {string[]} The word tokens of the book.
+ */
+const getBookWords = (singleBook) => {
+	if (!bookWords.has(singleBook)) {
+		bookWords.set(
+			singleBook,
+			tokenize(
+				`${singleBook.title} ${authors[singleBook.author]} ${
+					singleBook.description
+				}`
+			)
+		);
+	}
+
+	return bookWords.get(singleBook);
+};
+
+// compileNode
+
+/**
+ * Compiles a {@link QueryNode} syntax tree into a {@link BookPredicate}.
+ * Unquoted words must occur at the start of a word in the title, author name
+ * or description of a book, quoted phrases must occur in one of them as
+ * written, `title:` and `author:` values must occur in the title or author
+ * name, and `genre:` values must name one of the genres of the book.
+ *
+ * @param {QueryNode} node - The syntax tree to compile.
+ * @returns {BookPredicate} The compiled predicate.
+ * @throws {QuerySyntaxError} If a field value is invalid.
+ */
+const compileNode = (node) => {
+	if (node.type === "and") {
+		const predicates = node.children.map(compileNode);
+		return (singleBook) => predicates.every((test) => test(singleBook));
+	}
+
+	if (node.type === "or") {
+		const predicates = node.children.map(compileNode);
+		return (singleBook) => predicates.some((test) => test(singleBook));
+	}
+
+	if (node.type === "not") {
+		const predicate = compileNode(node.child);
+		return (singleBook) => !predicate(singleBook);
+	}
+
+	const value = node.value.toLowerCase();
+
+	if (node.type === "text") {
+		const terms = tokenize(value);
+
+		if (node.quoted) {
+			return (singleBook) =>
+				[singleBook.title, authors[singleBook.author], singleBook.description]
+					.map((text) => text.toLowerCase())
+					.some((text) => text.includes(value));
+		}
+
+		return (singleBook) => {
+			const words = getBookWords(singleBook);
+			return terms.every((term) => words.some((word) => word.startsWith(term)));
+		};
+	}
+
+	if (node.field === "title") {
+		return (singleBook) => singleBook.title.toLowerCase().includes(value);
+	}
+
+	if (node.field === "author") {
+		return (singleBook) =>
+			authors[singleBook.author].toLowerCase().includes(value);
+	}
+
+	if (node.field === "genre") {
+		const ids = findGenreIds(node);
+		return (singleBook) => ids.some((id) => singleBook.genres.includes(id));
+	}
+
+	const test = compileNumericMatch(node);
+	const getters = {
+		pages: (singleBook) => singleBook.pages,
+		year: (singleBook) => new Date(singleBook.published).getFullYear(),
+		popularity: (singleBook) => singleBook.popularity,
+	};
+
+	return (singleBook) => test(getters[node.field](singleBook));
+};
+
+/**
+ * The most recently compiled query and its predicate. A query is compiled
+ * several times in a row while the search form is used (for the results and
+ * each facet count), so the last result is reused when the query is the same.
+ */
+const lastCompiled = { query: null, predicate: null };
+
+// compileQuery
+
+/**
+ * Parses and compiles an advanced query, such as
+ * `author:"Bill Bryson" genre:travel pages:<300 year:2000..2010 -genre:audiobook`,
+ * into a {@link BookPredicate} that tests whether a book matches it. An empty
+ * query matches every book.
+ *
+ * @param {string} query - The advanced query entered by the user.
+ * @returns {BookPredicate} The compiled predicate.
+ * @throws {QuerySyntaxError} If the query is invalid.
+ */
+export const compileQuery = (query) => {
+	if (query === lastCompiled.query) return lastCompiled.predicate;
+
+	const tree = parseQuery(query);
+	const predicate = tree ? compileNode(tree) : () => true;
+
+	lastCompiled.query = query;
+	lastCompiled.predicate = predicate;
+
+	return predicate;
+};
@@ -0,0 +1,179 @@
+/* eslint-disable import/extensions */
+import { tokenize } from "./search-index.js";
+
+/**
+ * How much each kind of similarity between two books counts towards their
+ * overall similarity. The weights add up to `1`, so the overall similarity is
+ * a number between `0` and `1`.
+ */
+const SIMILARITY_WEIGHTS = {
+	genres: 0.35,
+	author: 0.15,
+	description: 0.4,
+	era: 0.1,
+};
+
+/**
+ * The difference in publication years at which the era similarity of two books
+ * has dropped to about a third.
+ */
+const ERA_SPAN_YEARS = 15;
+
+/**
+ * Description words that are too short to say anything about a book. Common
+ * longer words are already weighed down by their inverse document frequency.
+ */
+const MIN_TERM_LENGTH = 3;
+
+// createTermVector
+
+/**
+ * Builds the TF-IDF vector of a description: each term is weighted by how
+ * often it occurs in the description, and by how rare it is across all
+ * descriptions. The vector is normalised to a length of `1`, so that the
+ * cosine similarity of two vectors is simply their dot product.
+ *
+ * @param {string[]} terms - The terms of the description.
+ * @param {Map<string, number>} inverseFrequencies - The inverse document
+ * frequency of every term.
+ * @returns {Map<string, number>} The normalised term weights.
+ */
+const createTermVector = (terms, inverseFrequencies) => {
+	const vector = new Map();
+
+	terms.forEach((term) => vector.set(term, (vector.get(term) || 0) + 1));
+	vector.forEach((count, term) =>
+		vector.set(term, count * inverseFrequencies.get(term))
+	);
+
+	const length = Math.hypot(...vector.values());
+	if (length > 0) {
+		vector.forEach((weight, term) => vector.set(term, weight / length));
+	}
+
+	return vector;
+};
+
+// getDotProduct
+
+/**
+ * Multiplies two sparse vectors, iterating over the smaller one.
+ *
+ * @param {Map<string, number>} a - The first vector.
+ * @param {Map<string, number>} b - The second vector.
+ * @returns {number} The dot product of the vectors.
+ */
+const getDotProduct = (a, b) => {
+	const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+	let product = 0;
+
+	smaller.forEach((weight, term) => {
+		product += weight * (larger.get(term) || 0);
+	});
+
+	return product;
+};
+
+// getGenreSimilarity
+
+/**
+ * Calculates the Jaccard similarity of the genres of two books: the number of
+ * genres they share, divided by the number of genres either of them has.
+ *
+ * @param {string[]} a - The genre IDs of the first book.
+ * @param {string[]} b - The genre IDs of the second book.
+ * @returns {number} A similarity between `0` and `1`.
+ */
+const getGenreSimilarity = (a, b) => {
+	const shared = a.filter((genre) => b.includes(genre)).length;
+	const total = new Set([...a, ...b]).size;
+
+	return total > 0 ? shared / total : 0;
+};
+
+// createRecommender
+
+/**
+ * @typedef {object} Recommender - Finds books that are similar to each other.
+ * @property {(singleBook: import("./books-preview.js").BookItem, limit?:
+ * number) => import("./books-preview.js").BookLibrary} getSimilarBooks -
+ * Returns the books most similar to the provided book, most similar first.
+ */
+
+/**
+ * Factory function that creates a recommender over the provided library of
+ * books. Two books are compared on the genres they share, whether they have
+ * the same author, the overlap of the terms in their descriptions (as the
+ * cosine similarity of their TF-IDF vectors) and how close together they were
+ * published, weighted by {@link SIMILARITY_WEIGHTS}. The description vectors
+ * are only built when the first recommendation is asked for, as they aren't
+ * needed until a book is opened.
+ *
+ * @param {import("./books-preview.js").BookLibrary} booksSource - The library
+ * of books to recommend from.
+ * @returns {Recommender} The created recommender.
+ */
+const createRecommender = (booksSource) => {
+	/** @type {Map<string, Map<string, number>> | null} */
+	let termVectors = null;
+
+	const buildTermVectors = () => {
+		const bookTerms = booksSource.map(({ description }) =>
+			tokenize(description).filter((term) => term.length >= MIN_TERM_LENGTH)
+		);
+		const documentFrequencies = new Map();
+
+		bookTerms.forEach((terms) =>
+			new Set(terms).forEach((term) =>
+				documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1)
+			)
+		);
+
+		const inverseFrequencies = new Map(
+			[...documentFrequencies].map(([term, frequency]) => [
+				term,
+				Math.log(booksSource.length / frequency),
+			])
+		);
+
+		return new Map(
+			booksSource.map((singleBook, index) => [
+				singleBook.id,
+				createTermVector(bookTerms[index], inverseFrequencies),
+			])
+		);
+	};
+
+	const getSimilarity = (a, b) => {
+		const yearsApart = Math.abs(
+			new Date(a.published).getFullYear() - new Date(b.published).getFullYear()
+		);
+
+		return (
+			SIMILARITY_WEIGHTS.genres * getGenreSimilarity(a.genres, b.genres) +
+			SIMILARITY_WEIGHTS.author * (a.author === b.author ? 1 : 0) +
+			SIMILARITY_WEIGHTS.description *
+				getDotProduct(termVectors.get(a.id), termVectors.get(b.id)) +
+			SIMILARITY_WEIGHTS.era * Math.exp(-yearsApart / ERA_SPAN_YEARS)
+		);
+	};
+
+	const getSimilarBooks = (singleBook, limit = 8) => {
+		if (!termVectors) termVectors = buildTermVectors();
+		if (!termVectors.has(singleBook.id)) return [];
+
+		return booksSource
+			.filter(({ id }) => id !== singleBook.id)
+			.map((otherBook) => ({
+				otherBook,
+				similarity: getSimilarity(singleBook, otherBook),
+			}))
+			.sort((a, b) => b.similarity - a.similarity)
+			.slice(0, limit)
+			.map(({ otherBook }) => otherBook);
+	};
+
+	return { getSimilarBooks };
+};
+
+export default createRecommender;
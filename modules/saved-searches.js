@@ -0,0 +1,206 @@
+/* eslint-disable import/extensions */
+import { authors, genres } from "./data.js";
+import { readStoredJSON, writeStoredJSON } from "./storage.js";
+import { DEFAULT_SEARCH_FILTERS } from "./search.js";
+
+/**
+ * @typedef {object} SavedSearch - A search stored in `localStorage`.
+ * @property {string} name - The name of the search. For recent searches this
+ * is a description of the search inputs, see {@link describeFilters}.
+ * @property {import("./search.js").SearchFilters} filters - The search inputs.
+ */
+
+/**
+ * @typedef {object} SearchHistory - The searches stored in `localStorage`.
+ * @property {SavedSearch[]} recent - The most recently run searches, newest
+ * first.
+ * @property {SavedSearch[]} saved - The searches the user has named and saved,
+ * in alphabetical order.
+ */
+
+const STORAGE_KEY = "book-connect:searches";
+
+/**
+ * The number of recent searches that are remembered.
+ */
+const MAX_RECENT_SEARCHES = 10;
+
+// isObject
+
+/**
+ * Checks whether a value read from storage is a plain object, rather than
+ * `null`, an array or a primitive value.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} Whether the value is an object.
+ */
+const isObject = (value) =>
+	Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// isSameType
+
+/**
+ * Checks whether a stored search input has the same type as its default
+ * value: a string for text inputs, and an array of strings for the genre and
+ * author lists, which {@link filterBooks} calls array methods on.
+ *
+ * @param {*} value - The stored search input.
+ * @param {string | string[]} fallback - The default value of the input.
+ * @returns {boolean} Whether the stored input can be used.
+ */
+const isSameType = (value, fallback) =>
+	Array.isArray(fallback)
+		? Array.isArray(value) && value.every((item) => typeof item === "string")
+		: typeof value === typeof fallback;
+
+// normaliseFilters
+
+/**
+ * Returns a copy of the provided search inputs that holds exactly the fields
+ * of {@link DEFAULT_SEARCH_FILTERS}, with defaults for any that are missing or
+ * of the wrong type. This keeps searches stored by an older version of the
+ * app usable, including those with a single `author` rather than a list of
+ * `authors`, and lets two searches be compared by their JSON representation.
+ *
+ * @param {Partial<import("./search.js").SearchFilters>} filters - The search
+ * inputs to normalise.
+ * @returns {import("./search.js").SearchFilters} The normalised search inputs.
+ */
+const normaliseFilters = ({ author, ...filters }) =>
+	Object.fromEntries(
+		Object.entries({
+			...DEFAULT_SEARCH_FILTERS,
+			authors: typeof author === "string" && author !== "any" ? [author] : [],
+		}).map(([field, fallback]) => [
+			field,
+			isSameType(filters[field], fallback) ? filters[field] : fallback,
+		])
+	);
+
+// describeFilters
+
+/**
+ * Creates a short, readable description of the provided search inputs, such
+ * as `"harry" · Fantasy or Fiction · J.K. Rowling · 2000–2010`, which is used
+ * as the name of a recent search.
+ *
+ * @param {import("./search.js").SearchFilters} filters - The search inputs to
+ * describe.
+ * @returns {string} The description.
+ */
+const describeFilters = (filters) => {
+	const { title, query, genreMatch, yearFrom, yearTo, pagesMin, pagesMax } =
+		filters;
+	const parts = [];
+
+	if (title.trim()) parts.push(`"${title.trim()}"`);
+	if (query.trim()) parts.push(query.trim());
+	if (filters.genres.length > 0) {
+		parts.push(
+			filters.genres
+				.map((genre) => genres[genre])
+				.join(genreMatch === "all" ? " and " : " or ")
+		);
+	}
+	if (filters.authors.length > 0) {
+		parts.push(filters.authors.map((author) => authors[author]).join(" or "));
+	}
+	if (yearFrom || yearTo) parts.push(`${yearFrom || "…"}–${yearTo || "…"}`);
+	if (pagesMin || pagesMax) {
+		parts.push(`${pagesMin || "0"}–${pagesMax || "…"} pages`);
+	}
+
+	return parts.length > 0 ? parts.join(" · ") : "All books";
+};
+
+// loadSearchHistory
+
+/**
+ * Reads the recent and saved searches from `localStorage`. Stored entries
+ * that aren't searches, for example because the stored data was corrupted or
+ * edited by hand, are left out rather than breaking the search dialog.
+ *
+ * @returns {SearchHistory} The stored searches.
+ */
+export const loadSearchHistory = () => {
+	const stored = readStoredJSON(STORAGE_KEY, {});
+	const { recent, saved } = isObject(stored) ? stored : {};
+	const normalise = (searches) =>
+		(Array.isArray(searches) ? searches : [])
+			.filter(
+				(search) =>
+					isObject(search) &&
+					typeof search.name === "string" &&
+					isObject(search.filters)
+			)
+			.map(({ name, filters }) => ({
+				name,
+				filters: normaliseFilters(filters),
+			}));
+
+	return { recent: normalise(recent), saved: normalise(saved) };
+};
+
+// recordRecentSearch
+
+/**
+ * Adds the provided search inputs to the top of the recent searches. An equal
+ * search that was run before is moved to the top rather than repeated, and
+ * only the {@link MAX_RECENT_SEARCHES} newest searches are kept. A search that
+ * matches every book isn't recorded.
+ *
+ * @param {import("./search.js").SearchFilters} filters - The search inputs
+ * that were just run.
+ */
+export const recordRecentSearch = (filters) => {
+	const normalised = normaliseFilters(filters);
+	const key = JSON.stringify(normalised);
+
+	if (key === JSON.stringify(DEFAULT_SEARCH_FILTERS)) return;
+
+	const history = loadSearchHistory();
+	const recent = [
+		{ name: describeFilters(normalised), filters: normalised },
+		...history.recent.filter(
+			(search) => JSON.stringify(search.filters) !== key
+		),
+	].slice(0, MAX_RECENT_SEARCHES);
+
+	writeStoredJSON(STORAGE_KEY, { ...history, recent });
+};
+
+// saveSearch
+
+/**
+ * Saves the provided search inputs under a name. A saved search with the same
+ * name (ignoring case) is replaced.
+ *
+ * @param {string} name - The name chosen by the user.
+ * @param {import("./search.js").SearchFilters} filters - The search inputs to
+ * save.
+ */
+export const saveSearch = (name, filters) => {
+	const history = loadSearchHistory();
+	const saved = [
+		...history.saved.filter(
+			(search) => search.name.toLowerCase() !== name.toLowerCase()
+		),
+		{ name, filters: normaliseFilters(filters) },
+	].sort((a, b) => a.name.localeCompare(b.name));
+
+	writeStoredJSON(STORAGE_KEY, { ...history, saved });
+};
+
+// deleteSavedSearch
+
+/**
+ * Removes the saved search with the provided name.
+ *
+ * @param {string} name - The name of the saved search to remove.
+ */
+export const deleteSavedSearch = (name) => {
+	const history = loadSearchHistory();
+	const saved = history.saved.filter((search) => search.name !== name);
+
+	writeStoredJSON(STORAGE_KEY, { ...history, saved });
+};
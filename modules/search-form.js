@@ -0,0 +1,337 @@
+/* eslint-disable import/extensions */
+import book from "./dom-manipulation.js";
+import { genres as genreNames } from "./data.js";
+import { QuerySyntaxError, compileQuery } from "./query-language.js";
+import { countFacets } from "./search.js";
+import { loadSearchHistory } from "./saved-searches.js";
+
+// readSearchForm
+
+/**
+ * Reads the current values of the {@link book.search.form} fields into a
+ * {@link SearchFilters} object. `Object.fromEntries` can't be used for this on
+ * its own, as the genres select and the author checkboxes allow several values
+ * under the same name.
+ *
+ * @returns {import("./search.js").SearchFilters} The search inputs currently
+ * entered in the search form.
+ */
+export const readSearchForm = () => {
+	const formData = new FormData(book.search.form);
+	const { genre, author, ...fields } = Object.fromEntries(formData);
+
+	return {
+		...fields,
+		genres: formData.getAll("genre"),
+		authors: formData.getAll("author"),
+	};
+};
+
+// validateQuery
+
+/**
+ * Checks whether the advanced query in the {@link book.search.query} field can
+ * be compiled. If it can't, the error message is shown below the field and set
+ * as its custom validity message, which keeps the browser from submitting the
+ * search form until the query is fixed.
+ *
+ * @returns {boolean} Whether the advanced query is valid.
+ */
+export const validateQuery = () => {
+	let message = "";
+
+	try {
+		compileQuery(book.search.query.value);
+	} catch (error) {
+		if (!(error instanceof QuerySyntaxError)) throw error;
+		message = error.message;
+	}
+
+	book.search.query.setCustomValidity(message);
+	book.search.queryError.innerText = message;
+	book.search.queryError.hidden = message === "";
+
+	return message === "";
+};
+
+// getAuthorCheckboxes
+
+/**
+ * Returns the checkboxes of the author picker, see
+ * {@link createAuthorPickerHTML}.
+ *
+ * @returns {HTMLInputElement[]} The author checkboxes, in surname order.
+ */
+const getAuthorCheckboxes = () => [
+	...book.search.authorsOptions.querySelectorAll("input[name=author]"),
+];
+
+// updateGenreFacets
+
+/**
+ * Adds a book count to the label of every option in the genres select, e.g.
+ * "History (142)", and disables the options that would lead to no books.
+ * Chosen options are never disabled, as disabled options are left out of the
+ * submitted form data.
+ *
+ * @param {Map<string, number>} counts - The book count per genre ID.
+ */
+const updateGenreFacets = (counts) => {
+	// eslint-disable-next-line no-restricted-syntax
+	for (const option of book.search.genres.options) {
+		const count = counts.get(option.value) || 0;
+
+		option.innerText = `${genreNames[option.value]} (${count})`;
+		option.disabled = count === 0 && !option.selected;
+	}
+};
+
+// updateAuthorFacets
+
+/**
+ * Shows the number of books by each author in the author picker, dims the
+ * authors that would lead to no books, and summarises the chosen authors in
+ * the picker's legend. As with genres, chosen authors are never disabled.
+ *
+ * @param {Map<string, number>} counts - The book count per author ID.
+ * @param {number} allAuthorsCount - The book count when no author is chosen.
+ */
+const updateAuthorFacets = (counts, allAuthorsCount) => {
+	const checkboxes = getAuthorCheckboxes();
+	const chosen = checkboxes.filter((checkbox) => checkbox.checked);
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const checkbox of checkboxes) {
+		const count = counts.get(checkbox.value) || 0;
+		const item = checkbox.closest("li");
+
+		item.querySelector("[data-facet-count]").innerText = `(${count})`;
+		item.classList.toggle(
+			"overlay__picker-option_empty",
+			count === 0 && !checkbox.checked
+		);
+		checkbox.disabled = count === 0 && !checkbox.checked;
+	}
+
+	book.search.authorsSummary.innerText =
+		chosen.length > 0
+			? `(${chosen.length} chosen)`
+			: `(any author, ${allAuthorsCount} books)`;
+};
+
+// filterAuthorPicker
+
+/**
+ * Hides the authors in the author picker whose name doesn't contain the text
+ * typed into the {@link book.search.authorsFilter} field. Chosen authors stay
+ * visible, so that they can always be unchosen.
+ */
+export const filterAuthorPicker = () => {
+	const text = book.search.authorsFilter.value.trim().toLowerCase();
+	let visibleCount = 0;
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const checkbox of getAuthorCheckboxes()) {
+		const item = checkbox.closest("li");
+		const isVisible = checkbox.checked || item.dataset.name.includes(text);
+
+		item.hidden = !isVisible;
+		if (isVisible) visibleCount += 1;
+	}
+
+	book.search.authorsEmpty.hidden = visibleCount > 0;
+};
+
+// refreshFacets
+
+/**
+ * Recounts the genre and author facets for the search inputs currently
+ * entered in the {@link book.search.form}, see {@link countFacets}, and shows
+ * the counts in the genres select and author picker. The advanced query is
+ * validated first, and left out of the counts while it is invalid.
+ */
+export const refreshFacets = () => {
+	const filters = readSearchForm();
+	const counts = countFacets(
+		validateQuery() ? filters : { ...filters, query: "" }
+	);
+
+	updateGenreFacets(counts.genres);
+	updateAuthorFacets(counts.authors, counts.allAuthors);
+};
+
+// fillSearchForm
+
+/**
+ * Updates the {@link book.search.form} fields to show the provided search
+ * inputs, so that the search dialog reflects a search that was run without
+ * being submitted from the form itself.
+ *
+ * @param {import("./search.js").SearchFilters} filters - The search inputs to
+ * show in the search form.
+ */
+export const fillSearchForm = ({
+	title,
+	mode,
+	genres,
+	genreMatch,
+	authors,
+	yearFrom,
+	yearTo,
+	pagesMin,
+	pagesMax,
+	query,
+}) => {
+	const { elements } = book.search.form;
+
+	book.search.title.value = title;
+	book.search.mode.value = mode;
+	book.search.query.value = query;
+	elements.genreMatch.value = genreMatch;
+	elements.yearFrom.value = yearFrom;
+	elements.yearTo.value = yearTo;
+	elements.pagesMin.value = pagesMin;
+	elements.pagesMax.value = pagesMax;
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const option of book.search.genres.options) {
+		option.selected = genres.includes(option.value);
+	}
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const checkbox of getAuthorCheckboxes()) {
+		checkbox.checked = authors.includes(checkbox.value);
+	}
+
+	refreshFacets();
+	filterAuthorPicker();
+};
+
+// renderSearchHistory
+
+/**
+ * Fills the {@link book.search.history} select with the stored searches, see
+ * {@link loadSearchHistory}. Saved searches are listed first, by name, and
+ * recent searches after them, newest first. Option values are `saved:<name>`
+ * and `recent:<index>`, so that {@link findHistorySearch} can look the chosen
+ * search up again.
+ *
+ * @param {string} [selectedValue = ""] - The value of the option to select.
+ */
+export const renderSearchHistory = (selectedValue = "") => {
+	const { recent, saved } = loadSearchHistory();
+	const fragment = document.createDocumentFragment();
+	const placeholder = document.createElement("option");
+
+	placeholder.value = "";
+	placeholder.innerText =
+		recent.length + saved.length > 0 ? "Choose a search" : "No searches yet";
+	fragment.appendChild(placeholder);
+
+	const groups = [
+		{ label: "Saved searches", prefix: "saved", searches: saved },
+		{ label: "Recent searches", prefix: "recent", searches: recent },
+	];
+
+	groups.forEach(({ label, prefix, searches }) => {
+		if (searches.length < 1) return;
+
+		const group = document.createElement("optgroup");
+		group.label = label;
+
+		searches.forEach(({ name }, index) => {
+			const option = document.createElement("option");
+
+			option.value = `${prefix}:${prefix === "saved" ? name : index}`;
+			option.innerText = name;
+			group.appendChild(option);
+		});
+
+		fragment.appendChild(group);
+	});
+
+	book.search.history.innerHTML = "";
+	book.search.history.appendChild(fragment);
+	book.search.history.value = selectedValue;
+	book.search.deleteSaved.disabled = !selectedValue.startsWith("saved:");
+};
+
+// findHistorySearch
+
+/**
+ * Looks up the stored search that belongs to an option value of the
+ * {@link book.search.history} select, see {@link renderSearchHistory}.
+ *
+ * @param {string} value - The option value.
+ * @returns {import("./saved-searches.js").SavedSearch | null} The stored
+ * search, or `null` if there is none with that value.
+ */
+export const findHistorySearch = (value) => {
+	const { recent, saved } = loadSearchHistory();
+	const separator = value.indexOf(":");
+	const prefix = value.slice(0, separator);
+	const key = value.slice(separator + 1);
+
+	if (prefix === "saved") {
+		return saved.find(({ name }) => name === key) || null;
+	}
+	if (prefix === "recent") return recent[Number(key)] || null;
+	return null;
+};
+
+// chooseAuthor
+
+/**
+ * Chooses an author in the author picker, in addition to any authors that are
+ * already chosen, and recounts the facets.
+ *
+ * @param {string} id - The ID of the author to choose.
+ */
+export const chooseAuthor = (id) => {
+	const checkbox = getAuthorCheckboxes().find(({ value }) => value === id);
+
+	if (checkbox) checkbox.checked = true;
+	refreshFacets();
+	filterAuthorPicker();
+};
+
+// clearAuthors
+
+/**
+ * Unchooses all authors in the author picker, clears its filter field and
+ * recounts the facets.
+ */
+export const clearAuthors = () => {
+	// eslint-disable-next-line no-restricted-syntax
+	for (const checkbox of getAuthorCheckboxes()) checkbox.checked = false;
+
+	book.search.authorsFilter.value = "";
+	refreshFacets();
+	filterAuthorPicker();
+};
+
+// handleAuthorFilterKeydown
+
+/**
+ * Event handler function triggered when a key is pressed in the
+ * {@link book.search.authorsFilter} field. While the field narrows the author
+ * picker down, the first author that is shown and not chosen yet is the
+ * active option, and pressing Enter chooses it and clears the field for the
+ * next name, instead of submitting the search form that the field is part
+ * of. Without an active option, Enter submits the search as usual.
+ *
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+export const handleAuthorFilterKeydown = (event) => {
+	if (event.key !== "Enter" || !book.search.authorsFilter.value.trim()) return;
+
+	const active = getAuthorCheckboxes().find(
+		(checkbox) =>
+			!checkbox.checked && !checkbox.disabled && !checkbox.closest("li").hidden
+	);
+	if (!active) return;
+
+	event.preventDefault();
+	book.search.authorsFilter.value = "";
+	chooseAuthor(active.value);
+};
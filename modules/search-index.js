@@ -0,0 +1,289 @@
+/* eslint-disable import/extensions */
+import { authors } from "./data.js";
+import getEditDistance from "./fuzzy-match.js";
+
+/**
+ * @typedef {"title" | "author" | "description"} IndexField - The searchable
+ * fields of a book that are tokenized into the search index.
+ */
+
+/**
+ * @typedef {object} IndexMatch - A book that matched a search index query.
+ * @property {import("./books-preview.js").BookItem} singleBook - The matching
+ * book.
+ * @property {number} position - The position of the book in the library that
+ * the index was built from.
+ * @property {number} score - The relevance of the book to the query, based on
+ * how often and in which fields the query terms occur.
+ */
+
+/**
+ * @typedef {object} SearchIndex - An inverted index over a library of books.
+ * @property {(terms: string[], fields: IndexField[]) => IndexMatch[]} query -
+ * Returns every book in which each of the `terms` occurs at the start of a
+ * word in at least one of the provided `fields`.
+ * @property {(phrase: string) => IndexMatch[]} queryTitle - Returns every book
+ * whose lowercase title contains the lowercase `phrase` anywhere, even in the
+ * middle of a word, in library order.
+ * @property {(singleBook: import("./books-preview.js").BookItem) => {title:
+ * string, description: string}} getNormalisedText - Returns the lowercase
+ * title and description of an indexed book.
+ * @property {(term: string, fields: IndexField[]) => boolean} hasTerm - Checks
+ * whether the term occurs at the start of a word in one of the `fields` of any
+ * indexed book.
+ * @property {(term: string, fields: IndexField[]) => string | null}
+ * suggestTerm - Returns the indexed word closest in spelling to a misspelled
+ * term, or `null` if no word is close enough.
+ */
+
+/**
+ * The weight given to a term occurrence in each indexed field of a book. A
+ * match in the title counts more towards a book's relevance than a match in
+ * the author name, which in turn counts more than one in the description.
+ */
+const FIELD_WEIGHTS = { title: 3, author: 2, description: 1 };
+
+/**
+ * The shortest query term for which a spelling suggestion is looked up, as
+ * shorter terms are too ambiguous to correct reliably.
+ */
+const MIN_SUGGESTION_LENGTH = 3;
+
+// tokenize
+
+/**
+ * Splits the provided text into an array of lowercase word tokens, discarding
+ * any punctuation and whitespace.
+ *
+ * @param {string} text - The text to split into tokens.
+ * @returns {string[]} The word tokens found in the text.
+ */
+export const tokenize = (text) =>
+	text
+		.toLowerCase()
+		.split(/[^\p{L}\p{N}]+/u)
+		.filter((token) => token !== "");
+
+// findLowerBound
+
+/**
+ * Binary searches a sorted array of strings for the first position at which
+ * the provided value could be inserted without breaking the sort order.
+ *
+ * @param {string[]} sortedValues - An alphabetically sorted array.
+ * @param {string} value - The value to search for.
+ * @returns {number} The index of the first element not less than `value`.
+ */
+const findLowerBound = (sortedValues, value) => {
+	let low = 0;
+	let high = sortedValues.length;
+
+	while (low < high) {
+		const middle = Math.floor((low + high) / 2);
+		if (sortedValues[middle] < value) low = middle + 1;
+		else high = middle;
+	}
+
+	return low;
+};
+
+// createSearchIndex
+
+/**
+ * Factory function that tokenizes the title, author name and description of
+ * every book in the provided library once, and returns an inverted index that
+ * maps each token to the books (and fields) it occurs in. The vocabulary of the
+ * index is kept sorted, so a query term is expanded to all tokens starting
+ * with it using a binary search instead of a scan over the whole library. This
+ * keeps queries fast regardless of how large the library grows.
+ *
+ * @param {import("./books-preview.js").BookLibrary} booksSource - The library
+ * of books to index.
+ * @returns {SearchIndex} The created search index.
+ */
+export const createSearchIndex = (booksSource) => {
+	/** @type {Map<string, Map<number, Record<IndexField, number>>>} */
+	const postings = new Map();
+	const normalisedText = booksSource.map(({ title, description }) => ({
+		title: title.toLowerCase(),
+		description: description.toLowerCase(),
+	}));
+
+	booksSource.forEach((singleBook, position) => {
+		const fields = {
+			title: singleBook.title,
+			author: authors[singleBook.author],
+			description: singleBook.description,
+		};
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const [field, text] of Object.entries(fields)) {
+			// eslint-disable-next-line no-restricted-syntax
+			for (const token of tokenize(text)) {
+				if (!postings.has(token)) postings.set(token, new Map());
+
+				const tokenPostings = postings.get(token);
+				if (!tokenPostings.has(position)) {
+					tokenPostings.set(position, {
+						title: 0,
+						author: 0,
+						description: 0,
+					});
+				}
+				tokenPostings.get(position)[field] += 1;
+			}
+		}
+	});
+
+	const vocabulary = [...postings.keys()].sort();
+	const titleVocabulary = vocabulary.filter((token) =>
+		[...postings.get(token).values()].some((counts) => counts.title > 0)
+	);
+	const positions = new Map(
+		booksSource.map((singleBook, position) => [singleBook.id, position])
+	);
+
+	/**
+	 * Scores every book in which the term occurs at the start of a word in one
+	 * of the provided fields.
+	 *
+	 * @param {string} term - A single, lowercase query term.
+	 * @param {IndexField[]} fields - The fields to match the term in.
+	 * @returns {Map<number, number>} The term score of each matching book,
+	 * keyed by its position in the library.
+	 */
+	const scoreTerm = (term, fields) => {
+		const scores = new Map();
+
+		for (
+			let i = findLowerBound(vocabulary, term);
+			i < vocabulary.length && vocabulary[i].startsWith(term);
+			i += 1
+		) {
+			// eslint-disable-next-line no-restricted-syntax
+			for (const [position, counts] of postings.get(vocabulary[i])) {
+				const score = fields.reduce(
+					(total, field) => total + counts[field] * FIELD_WEIGHTS[field],
+					0
+				);
+
+				if (score > 0) {
+					scores.set(position, (scores.get(position) || 0) + score);
+				}
+			}
+		}
+
+		return scores;
+	};
+
+	const query = (terms, fields) => {
+		if (terms.length < 1) return [];
+
+		// Score the rarest terms first so the candidate set shrinks quickly.
+		const termScores = terms
+			.map((term) => scoreTerm(term, fields))
+			.sort((a, b) => a.size - b.size);
+		const [firstScores, ...otherScores] = termScores;
+		const matches = [];
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const [position, firstScore] of firstScores) {
+			let score = firstScore;
+
+			// eslint-disable-next-line no-restricted-syntax
+			for (const scores of otherScores) {
+				if (!scores.has(position)) {
+					score = 0;
+					break;
+				}
+				score += scores.get(position);
+			}
+
+			if (score > 0) {
+				matches.push({ singleBook: booksSource[position], position, score });
+			}
+		}
+
+		return matches;
+	};
+
+	/**
+	 * Narrows the books down to those whose title has, for every word of the
+	 * phrase, a word that contains it, which every title containing the whole
+	 * phrase has. Only those candidates are then checked for the phrase itself,
+	 * so that the result is the same as a substring search over every title.
+	 */
+	const queryTitle = (phrase) => {
+		const candidates = tokenize(phrase).reduce((previous, term) => {
+			const termCandidates = new Set();
+
+			titleVocabulary.forEach((token) => {
+				if (!token.includes(term)) return;
+
+				postings.get(token).forEach((counts, position) => {
+					if (counts.title > 0 && (!previous || previous.has(position))) {
+						termCandidates.add(position);
+					}
+				});
+			});
+
+			return termCandidates;
+		}, null);
+
+		const positionsToCheck = candidates
+			? [...candidates].sort((a, b) => a - b)
+			: booksSource.map((singleBook, position) => position);
+
+		return positionsToCheck
+			.filter((position) => normalisedText[position].title.includes(phrase))
+			.map((position) => ({
+				singleBook: booksSource[position],
+				position,
+				score: 0,
+			}));
+	};
+
+	const getNormalisedText = (singleBook) =>
+		normalisedText[positions.get(singleBook.id)];
+
+	const hasTerm = (term, fields) => scoreTerm(term, fields).size > 0;
+
+	/**
+	 * Finds the indexed word with the smallest {@link getEditDistance} to the
+	 * term. Longer terms are allowed more typos: one for terms of up to four
+	 * characters and two for anything longer. When several words are equally
+	 * close, the one that occurs in the most books wins.
+	 */
+	const suggestTerm = (term, fields) => {
+		if (term.length < MIN_SUGGESTION_LENGTH) return null;
+
+		const maxDistance = term.length <= 4 ? 1 : 2;
+		let suggestion = null;
+		let suggestionDistance = Infinity;
+		let suggestionFrequency = 0;
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const token of vocabulary) {
+			const distance = getEditDistance(term, token, maxDistance);
+
+			if (distance <= maxDistance && distance <= suggestionDistance) {
+				const frequency = [...postings.get(token).values()].filter((counts) =>
+					fields.some((field) => counts[field] > 0)
+				).length;
+
+				if (
+					frequency > 0 &&
+					(distance < suggestionDistance || frequency > suggestionFrequency)
+				) {
+					suggestion = token;
+					suggestionDistance = distance;
+					suggestionFrequency = frequency;
+				}
+			}
+		}
+
+		return suggestion;
+	};
+
+	return { query, queryTitle, getNormalisedText, hasTerm, suggestTerm };
+};
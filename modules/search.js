@@ -0,0 +1,334 @@
+/* eslint-disable import/extensions */
+import { authors, books } from "./data.js";
+import { getBooksByAuthor, getBooksByGenre } from "./catalog.js";
+import { compileQuery } from "./query-language.js";
+import { createSearchIndex, tokenize } from "./search-index.js";
+
+/**
+ * @typedef {object} SearchFilters - The book search inputs supplied through the
+ * {@link book.search.form}.
+ * @property {string} title - The free-text query entered by the user.
+ * @property {"title" | "keyword"} mode - Whether the `title` query should only
+ * be matched against book titles, or against titles, descriptions and author
+ * names (ranked by relevance).
+ * @property {string[]} genres - The chosen genre IDs. An empty array matches
+ * books of any genre.
+ * @property {"any" | "all"} genreMatch - Whether a book needs at least one of
+ * the chosen `genres` (OR), or every one of them (AND).
+ * @property {string[]} authors - The chosen author IDs. A book by any one of
+ * them matches, and an empty array matches books by any author.
+ * @property {string} yearFrom - The earliest publication year, or an empty
+ * string for no lower bound.
+ * @property {string} yearTo - The latest publication year, or an empty string
+ * for no upper bound.
+ * @property {string} pagesMin - The smallest page count, or an empty string
+ * for no lower bound.
+ * @property {string} pagesMax - The largest page count, or an empty string for
+ * no upper bound.
+ * @property {string} query - An advanced query that books must match as well,
+ * see {@link compileQuery}, or an empty string.
+ */
+
+/**
+ * The search inputs of an empty search form, which match every book in the
+ * library.
+ *
+ * @type {SearchFilters}
+ */
+export const DEFAULT_SEARCH_FILTERS = {
+	title: "",
+	mode: "title",
+	query: "",
+	genres: [],
+	genreMatch: "any",
+	authors: [],
+	yearFrom: "",
+	yearTo: "",
+	pagesMin: "",
+	pagesMax: "",
+};
+
+// isInRange
+
+/**
+ * Checks whether a number lies within an inclusive range whose bounds come
+ * straight from the search form, where an empty bound means the range is open
+ * on that side.
+ *
+ * @param {number} value - The number to check.
+ * @param {string} [min] - The lower bound, or an empty string.
+ * @param {string} [max] - The upper bound, or an empty string.
+ * @returns {boolean} Whether `value` lies within the range.
+ */
+const isInRange = (value, min, max) =>
+	(!min || value >= Number(min)) && (!max || value <= Number(max));
+
+// getGenreCandidates
+
+/**
+ * Narrows the {@link books} library down to the books that can match the
+ * chosen genres, using the genre lookup of the catalog instead of a scan over
+ * the library. A book needs every genre when they are matched with AND, so
+ * the books of the least common genre are enough. A single genre is matched
+ * by its own books either way. Books of any of several genres would have to be
+ * merged back into library order, so the whole library is returned instead.
+ *
+ * @param {string[]} genres - The chosen genre IDs.
+ * @param {"any" | "all"} genreMatch - How the chosen genres are combined.
+ * @returns {import("./books-preview.js").BookLibrary} The candidate books, in
+ * library order.
+ */
+const getGenreCandidates = (genres, genreMatch) => {
+	if (genres.length < 1 || (genres.length > 1 && genreMatch !== "all")) {
+		return books;
+	}
+
+	return genres
+		.map(getBooksByGenre)
+		.reduce((smallest, genreBooks) =>
+			genreBooks.length < smallest.length ? genreBooks : smallest
+		);
+};
+
+/**
+ * The search index over the {@link books} library, built once when the app
+ * loads so that searches don't have to tokenize every book again.
+ */
+export const searchIndex = createSearchIndex(books);
+
+// filterBooks
+
+/**
+ * Returns every book in the {@link books} library that matches the provided
+ * {@link SearchFilters}. The `title` query is answered from the
+ * {@link searchIndex}. In `"title"` mode, books whose title contains the query
+ * anywhere are matched, just like a substring search, and returned in library
+ * order. In `"keyword"` mode, every query term has to occur at the start of a
+ * word in the title, description or author name of a book, and the result is
+ * ordered from most to least relevant, with a bonus for books that contain
+ * the whole query as a phrase. In both modes the genre, author, publication
+ * year and page count filters are applied as well, where the chosen genres are
+ * combined according to `genreMatch`, and books must also match the advanced
+ * `query`.
+ *
+ * @param {SearchFilters} filters - The search inputs to match books against.
+ * @returns {import("./books-preview.js").BookLibrary} The matching books.
+ * @throws {import("./query-language.js").QuerySyntaxError} If the advanced
+ * query is invalid.
+ */
+export const filterBooks = ({
+	title,
+	mode,
+	genres,
+	genreMatch,
+	authors: authorIds,
+	yearFrom,
+	yearTo,
+	pagesMin,
+	pagesMax,
+	query,
+}) => {
+	const phrase = title.trim().toLowerCase();
+	const terms = tokenize(phrase);
+	const isQueryMatch = compileQuery(query || "");
+	const isAttributeMatch = (singleBook) =>
+		(genres.length < 1 ||
+			(genreMatch === "all"
+				? genres.every((genre) => singleBook.genres.includes(genre))
+				: genres.some((genre) => singleBook.genres.includes(genre)))) &&
+		(authorIds.length < 1 || authorIds.includes(singleBook.author)) &&
+		isInRange(new Date(singleBook.published).getFullYear(), yearFrom, yearTo) &&
+		isInRange(singleBook.pages, pagesMin, pagesMax) &&
+		isQueryMatch(singleBook);
+
+	const isKeywordSearch = mode === "keyword";
+
+	if (!phrase || (isKeywordSearch && terms.length < 1)) {
+		return getGenreCandidates(genres, genreMatch).filter(isAttributeMatch);
+	}
+
+	const matches = (
+		isKeywordSearch
+			? searchIndex.query(terms, ["title", "author", "description"])
+			: searchIndex.queryTitle(phrase)
+	).filter(({ singleBook }) => isAttributeMatch(singleBook));
+
+	if (isKeywordSearch) {
+		// eslint-disable-next-line no-restricted-syntax
+		for (const match of matches) {
+			const text = searchIndex.getNormalisedText(match.singleBook);
+			if (text.title.includes(phrase)) match.score += 10;
+			if (text.description.includes(phrase)) match.score += 5;
+		}
+	}
+
+	matches.sort((a, b) =>
+		isKeywordSearch
+			? b.score - a.score || a.position - b.position
+			: a.position - b.position
+	);
+
+	return matches.map(({ singleBook }) => singleBook);
+};
+
+// suggestFilters
+
+/**
+ * Looks for a likely spelling correction of the `title` query when a search
+ * returns no books. Each query term that doesn't occur in any title (or author
+ * name) is replaced with the closest indexed word, as found by the
+ * {@link searchIndex}. A `"title"` mode query is also corrected against author
+ * names, and switched to `"keyword"` mode if the corrected query only matches
+ * books by their author. The corrected filters are only returned if they
+ * actually produce results.
+ *
+ * @param {SearchFilters} filters - The search inputs that returned no books.
+ * @returns {SearchFilters | null} The corrected search inputs, or `null` if no
+ * useful correction was found.
+ */
+export const suggestFilters = (filters) => {
+	const terms = tokenize(filters.title);
+	const fields =
+		filters.mode === "keyword"
+			? ["title", "author", "description"]
+			: ["title", "author"];
+	let isCorrected = false;
+
+	const correctedTerms = terms.map((term) => {
+		if (searchIndex.hasTerm(term, fields)) return term;
+
+		const suggestion = searchIndex.suggestTerm(term, fields);
+		if (!suggestion) return term;
+
+		isCorrected = true;
+		return suggestion;
+	});
+
+	if (!isCorrected) return null;
+
+	const title = correctedTerms.join(" ");
+	const candidates = [
+		{ ...filters, title },
+		{ ...filters, title, mode: "keyword" },
+	];
+
+	return (
+		candidates.find((candidate) => filterBooks(candidate).length > 0) || null
+	);
+};
+
+// countFacets
+
+/**
+ * @typedef {object} FacetCounts - The number of books that each genre and
+ * author option in the search form would lead to.
+ * @property {Map<string, number>} genres - The book count per genre ID.
+ * @property {Map<string, number>} authors - The book count per author ID.
+ * @property {number} allAuthors - The book count when no author is chosen.
+ */
+
+/**
+ * Counts how many books each genre and author option would return, given the
+ * rest of the provided search inputs. Each facet is counted against the
+ * results of all other filters, but not its own: the author counts ignore the
+ * chosen authors, and the genre counts ignore the chosen genres when they are
+ * matched with OR. When genres are matched with AND, choosing another genre
+ * narrows the results down further, so the genre counts are taken from the
+ * books that already have all chosen genres.
+ *
+ * @param {SearchFilters} filters - The search inputs currently entered.
+ * @returns {FacetCounts} The book counts per genre and author.
+ */
+export const countFacets = (filters) => {
+	const genreCounts = new Map();
+	const authorCounts = new Map();
+	const genreBase = filterBooks({
+		...filters,
+		genres: filters.genreMatch === "all" ? filters.genres : [],
+	});
+	const authorBase = filterBooks({ ...filters, authors: [] });
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const singleBook of genreBase) {
+		// eslint-disable-next-line no-restricted-syntax
+		for (const genre of singleBook.genres) {
+			genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1);
+		}
+	}
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const singleBook of authorBase) {
+		authorCounts.set(
+			singleBook.author,
+			(authorCounts.get(singleBook.author) || 0) + 1
+		);
+	}
+
+	return {
+		genres: genreCounts,
+		authors: authorCounts,
+		allAuthors: authorBase.length,
+	};
+};
+
+// getAutocompleteSuggestions
+
+/**
+ * @typedef {object} AutocompleteSuggestion - A book or author suggested while
+ * the user types a title query.
+ * @property {"book" | "author"} type - Whether a book or an author is
+ * suggested.
+ * @property {string} id - The ID of the book or author.
+ * @property {string} label - The title of the book or the author's name.
+ * @property {string} detail - Secondary text shown with the suggestion: the
+ * author of a book, or the number of books by an author.
+ */
+
+/**
+ * Finds the books whose title and the authors whose name contain a word
+ * starting with each of the terms of the provided text. Books are answered
+ * from the {@link searchIndex} and ordered by relevance, then popularity.
+ *
+ * @param {string} text - The text typed into the title field.
+ * @param {number} [maxBooks = 6] - The largest number of books to suggest.
+ * @param {number} [maxAuthors = 3] - The largest number of authors to suggest.
+ * @returns {AutocompleteSuggestion[]} The suggested authors, followed by the
+ * suggested books.
+ */
+export const getAutocompleteSuggestions = (
+	text,
+	maxBooks = 6,
+	maxAuthors = 3
+) => {
+	const terms = tokenize(text);
+	if (terms.length < 1) return [];
+
+	const authorSuggestions = Object.entries(authors)
+		.filter(([, name]) => {
+			const words = tokenize(name);
+			return terms.every((term) => words.some((word) => word.startsWith(term)));
+		})
+		.slice(0, maxAuthors)
+		.map(([id, name]) => ({
+			type: "author",
+			id,
+			label: name,
+			detail: `Author · ${getBooksByAuthor(id).length} books`,
+		}));
+
+	const bookSuggestions = searchIndex
+		.query(terms, ["title"])
+		.sort(
+			(a, b) =>
+				b.score - a.score || a.singleBook.popularity - b.singleBook.popularity
+		)
+		.slice(0, maxBooks)
+		.map(({ singleBook }) => ({
+			type: "book",
+			id: singleBook.id,
+			label: singleBook.title,
+			detail: authors[singleBook.author],
+		}));
+
+	return [...authorSuggestions, ...bookSuggestions];
+};
@@ -0,0 +1,115 @@
+/* eslint-disable import/extensions */
+import { readStoredJSON, writeStoredJSON } from "./storage.js";
+import { BOOKS_PER_PAGE } from "./books-preview.js";
+import { getTheme } from "./theme.js";
+
+/**
+ * The `localStorage` key that the settings are stored under.
+ */
+export const SETTINGS_STORAGE_KEY = "book-connect:settings";
+
+/**
+ * The `localStorage` key that the attributes of the root element are stored
+ * under, see {@link saveRootAttributes}. The inline script in the `<head>` of
+ * `index.html` reads the same key, so the two have to be changed together.
+ */
+const ROOT_ATTRIBUTES_STORAGE_KEY = "book-connect:root-attributes";
+
+/**
+ * @typedef {object} Settings - The preferences chosen in the
+ * {@link book.settings.form}.
+ * @property {string} theme - The ID of the colour theme of the app, where
+ * `auto` follows the colour scheme of the operating system, see
+ * {@link getTheme}.
+ * @property {"button" | "scroll" | "pager"} loading - How more books are
+ * loaded into the book list.
+ * @property {number} pageSize - The number of books on a page.
+ * @property {number} textSize - The text size as a percentage of the
+ * browser's default text size.
+ * @property {"normal" | "relaxed" | "loose"} lineSpacing - The spacing
+ * between lines of text.
+ * @property {"auto" | "reduce"} motion - Whether animations are reduced,
+ * where `auto` follows the motion preference of the operating system.
+ * @property {"default" | "readable"} font - The font of the app, where
+ * `readable` is a font designed to tell similar letters apart.
+ */
+
+/**
+ * Checks whether a value is one that each setting can take. Stored values that
+ * aren't, for example from an older version of the app or a user-defined theme
+ * that was deleted, are replaced by the default value.
+ */
+const SETTING_VALIDATORS = {
+	theme: (value) => typeof value === "string" && getTheme(value) !== null,
+	loading: (value) => ["button", "scroll", "pager"].includes(value),
+	pageSize: (value) => [12, 24, 36, 48, 96].includes(value),
+	textSize: (value) => [100, 115, 130, 150].includes(value),
+	lineSpacing: (value) => ["normal", "relaxed", "loose"].includes(value),
+	motion: (value) => ["auto", "reduce"].includes(value),
+	font: (value) => ["default", "readable"].includes(value),
+};
+
+/**
+ * The settings used until the user saves their own. The default theme and
+ * motion setting follow the preferences of the operating system.
+ *
+ * @type {Settings}
+ */
+const DEFAULT_SETTINGS = {
+	theme: "auto",
+	loading: "button",
+	pageSize: BOOKS_PER_PAGE,
+	textSize: 100,
+	lineSpacing: "normal",
+	motion: "auto",
+	font: "default",
+};
+
+// loadSettings
+
+/**
+ * Reads the stored settings, falling back to the default for every setting
+ * that isn't stored or has an unknown value, see {@link DEFAULT_SETTINGS}.
+ *
+ * @returns {Settings} The settings to apply.
+ */
+export const loadSettings = () => {
+	const stored = readStoredJSON(SETTINGS_STORAGE_KEY, {}) || {};
+
+	return Object.fromEntries(
+		Object.entries(DEFAULT_SETTINGS).map(([setting, fallback]) => [
+			setting,
+			SETTING_VALIDATORS[setting](stored[setting]) ? stored[setting] : fallback,
+		])
+	);
+};
+
+// saveRootAttributes
+
+/**
+ * Stores the `data-*` and `style` attributes of the root element, which hold
+ * the applied theme and reading settings. The inline script in the `<head>`
+ * of `index.html` copies them back onto the root element on the next page
+ * load, so that the page doesn't flash in the wrong theme or text size
+ * before the settings are applied again, without the script having to know
+ * about any of the settings.
+ */
+export const saveRootAttributes = () => {
+	const attributes = [...document.documentElement.attributes]
+		.filter(({ name }) => name === "style" || name.startsWith("data-"))
+		.map(({ name, value }) => [name, value]);
+
+	writeStoredJSON(ROOT_ATTRIBUTES_STORAGE_KEY, Object.fromEntries(attributes));
+};
+
+// saveSettings
+
+/**
+ * Stores the provided settings, so that they are applied again the next time
+ * the app loads.
+ *
+ * @param {Settings} settings - The settings to store.
+ */
+export const saveSettings = (settings) => {
+	writeStoredJSON(SETTINGS_STORAGE_KEY, settings);
+};
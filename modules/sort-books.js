@@ -0,0 +1,93 @@
+/* eslint-disable import/extensions */
+import { authors } from "./data.js";
+
+/**
+ * @typedef {"default" | "popularity" | "title" | "author" | "published" |
+ * "pages"} SortKey - The book attribute that a book library can be sorted by.
+ * `"default"` keeps the order of the library itself, which is the relevance
+ * order for keyword searches.
+ */
+
+/**
+ * @typedef {object} SortOrder - The order in which book previews are shown.
+ * @property {SortKey} key - The attribute to sort the books by.
+ * @property {"asc" | "desc"} direction - Whether the books are sorted in
+ * ascending or descending order of `key`.
+ */
+
+/**
+ * The sort order used when the app loads: the books are shown in library
+ * order.
+ *
+ * @type {SortOrder}
+ */
+export const DEFAULT_SORT_ORDER = { key: "default", direction: "asc" };
+
+const collator = new Intl.Collator(undefined, {
+	sensitivity: "base",
+	numeric: true,
+});
+
+// getAuthorSurname
+
+/**
+ * Returns the surname of an author, taken to be the last word of their name.
+ *
+ * @param {string} name - The full name of the author.
+ * @returns {string} The surname of the author.
+ */
+export const getAuthorSurname = (name) => name.trim().split(/\s+/).pop();
+
+// compareAuthorNames
+
+/**
+ * Compares two author names by surname, and by their full name when the
+ * surnames are the same, for use with `Array.prototype.sort`.
+ *
+ * @param {string} a - The first author name.
+ * @param {string} b - The second author name.
+ * @returns {number} A negative number if `a` sorts first, a positive number if
+ * `b` sorts first, or `0` if they are equal.
+ */
+export const compareAuthorNames = (a, b) =>
+	collator.compare(getAuthorSurname(a), getAuthorSurname(b)) ||
+	collator.compare(a, b);
+
+/**
+ * The functions used to compare two books for each {@link SortKey}, in
+ * ascending order. A popularity rank of `1` is the most popular book, so an
+ * ascending popularity sort shows the most popular books first.
+ *
+ * @type {Record<Exclude<SortKey, "default">, (a:
+ * import("./books-preview.js").BookItem, b:
+ * import("./books-preview.js").BookItem) => number>}
+ */
+const comparators = {
+	popularity: (a, b) => a.popularity - b.popularity,
+	title: (a, b) => collator.compare(a.title, b.title),
+	author: (a, b) => compareAuthorNames(authors[a.author], authors[b.author]),
+	published: (a, b) => Date.parse(a.published) - Date.parse(b.published),
+	pages: (a, b) => a.pages - b.pages,
+};
+
+// sortBooks
+
+/**
+ * Returns a sorted copy of the provided library of books. Books that compare
+ * as equal keep their relative order from the library, so that for example
+ * books by the same author stay in relevance order after a keyword search.
+ *
+ * @param {import("./books-preview.js").BookLibrary} booksSource - The library
+ * of books to sort.
+ * @param {SortOrder} sortOrder - The order to sort the books in.
+ * @returns {import("./books-preview.js").BookLibrary} The sorted books.
+ */
+export const sortBooks = (booksSource, { key, direction }) => {
+	const sign = direction === "desc" ? -1 : 1;
+
+	if (key === "default") {
+		return sign === 1 ? [...booksSource] : [...booksSource].reverse();
+	}
+
+	return [...booksSource].sort((a, b) => sign * comparators[key](a, b));
+};
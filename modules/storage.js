@@ -0,0 +1,38 @@
+// readStoredJSON
+
+/**
+ * Reads and parses a JSON value from `localStorage`. Storage can be disabled
+ * or hold corrupted data, in which case the provided fallback is returned, so
+ * that the app keeps working without persistence.
+ *
+ * @template T
+ * @param {string} key - The storage key to read.
+ * @param {T} fallback - The value to return if nothing usable is stored.
+ * @returns {T} The stored value, or the fallback.
+ */
+export const readStoredJSON = (key, fallback) => {
+	try {
+		const value = window.localStorage.getItem(key);
+		return value === null ? fallback : JSON.parse(value);
+	} catch (error) {
+		return fallback;
+	}
+};
+
+// writeStoredJSON
+
+/**
+ * Serializes a value to JSON and writes it to `localStorage`. Failures, such
+ * as a full or disabled storage, are ignored, as persistence is a convenience
+ * rather than a requirement.
+ *
+ * @param {string} key - The storage key to write.
+ * @param {*} value - The value to store.
+ */
+export const writeStoredJSON = (key, value) => {
+	try {
+		window.localStorage.setItem(key, JSON.stringify(value));
+	} catch (error) {
+		// Storage is unavailable; the value only lasts for this session.
+	}
+};
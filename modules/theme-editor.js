@@ -0,0 +1,107 @@
+/* eslint-disable import/extensions */
+import book from "./dom-manipulation.js";
+import {
+	getCustomThemeId,
+	getTheme,
+	isCustomTheme,
+	loadCustomThemes,
+	setThemeProperties,
+} from "./theme.js";
+
+// renderThemeOptions
+
+/**
+ * Lists the user-defined themes in a "Your themes" group of the
+ * {@link book.settings.theme} select, after the built-in themes that are part
+ * of the markup, and chooses the provided option. A theme that no longer
+ * exists falls back to `auto`.
+ *
+ * @param {string} selectedValue - The theme ID to choose.
+ */
+export const renderThemeOptions = (selectedValue) => {
+	const customThemes = loadCustomThemes();
+
+	book.settings.theme.querySelector("optgroup")?.remove();
+
+	if (customThemes.length > 0) {
+		const group = document.createElement("optgroup");
+		group.label = "Your themes";
+
+		customThemes.forEach(({ name }) => {
+			const option = document.createElement("option");
+
+			option.value = getCustomThemeId(name);
+			option.innerText = name;
+			group.appendChild(option);
+		});
+
+		book.settings.theme.appendChild(group);
+	}
+
+	book.settings.theme.value = getTheme(selectedValue) ? selectedValue : "auto";
+};
+
+// readThemeEditor
+
+/**
+ * Reads the colours and name currently entered in the theme editor of the
+ * {@link book.settings.form}.
+ *
+ * @returns {import("./theme.js").Theme} The edited theme. Its name is empty
+ * if none was entered.
+ */
+export const readThemeEditor = () => ({
+	name: book.settings.themeName.value.trim(),
+	accent: book.settings.themeAccent.value,
+	surface: book.settings.themeSurface.value,
+	text: book.settings.themeText.value,
+});
+
+// showThemeError
+
+/**
+ * Shows a message below the theme editor, e.g. why a theme couldn't be
+ * imported. An empty message hides it.
+ *
+ * @param {string} message - The message to show.
+ */
+export const showThemeError = (message) => {
+	book.settings.themeError.innerText = message;
+	book.settings.themeError.hidden = message === "";
+};
+
+// updateThemePreview
+
+/**
+ * Colours the {@link book.settings.themePreview} with the colours currently
+ * entered in the theme editor. The colours are set on the preview element
+ * only, so the rest of the app keeps its theme until the settings are saved.
+ */
+export const updateThemePreview = () => {
+	setThemeProperties(book.settings.themePreview, readThemeEditor());
+};
+
+// fillThemeEditor
+
+/**
+ * Fills the theme editor with the colours of a theme, so that they can be
+ * previewed and adjusted. The name field is only filled for user-defined
+ * themes, which are the only ones that can be deleted, so that saving the
+ * colours of a built-in theme asks for a new name.
+ *
+ * @param {string} themeId - The theme ID, see {@link getTheme}.
+ */
+export const fillThemeEditor = (themeId) => {
+	const theme = getTheme(themeId) || getTheme("auto");
+	const isCustom = isCustomTheme(themeId);
+
+	book.settings.themeAccent.value = theme.accent;
+	book.settings.themeSurface.value = theme.surface;
+	book.settings.themeText.value = theme.text;
+	book.settings.themeName.value = isCustom ? theme.name : "";
+	book.settings.themeName.setCustomValidity("");
+	book.settings.themeDelete.disabled = !isCustom;
+
+	showThemeError("");
+	updateThemePreview();
+};
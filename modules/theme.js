@@ -0,0 +1,332 @@
+/* eslint-disable import/extensions */
+import book from "./dom-manipulation.js";
+import { readStoredJSON, writeStoredJSON } from "./storage.js";
+
+/**
+ * @typedef {object} Theme - A named set of colours for the app. Each colour is
+ * a hex colour such as `#0096ff`, which is what `<input type="color">`
+ * fields read and write.
+ * @property {string} name - The name of the theme, shown in the theme select.
+ * @property {string} accent - The colour of buttons, links and highlights.
+ * @property {string} surface - The background colour of the page and dialogs.
+ * @property {string} text - The colour of text and borders.
+ */
+
+/**
+ * The `localStorage` key that the user-defined themes are stored under.
+ */
+export const THEMES_STORAGE_KEY = "book-connect:themes";
+
+/**
+ * The prefix of the theme IDs of user-defined themes, which are followed by
+ * the theme name, e.g. `custom:Forest`.
+ */
+const CUSTOM_THEME_PREFIX = "custom:";
+
+/**
+ * The colours of a theme, and the CSS property of the stylesheet that each of
+ * them sets. The stylesheet uses the properties as comma-separated RGB
+ * triplets inside `rgba()`, so that it can vary their opacity.
+ */
+const THEME_PROPERTIES = {
+	accent: "--color-blue",
+	surface: "--color-light",
+	text: "--color-dark",
+};
+
+/**
+ * The longest theme name that can be saved or imported.
+ */
+const MAX_THEME_NAME_LENGTH = 40;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const darkSchemeQuery = window.matchMedia("(prefers-color-scheme: dark)");
+
+/**
+ * The theme ID chosen in the settings, which is re-applied whenever the colour
+ * scheme of the operating system changes.
+ *
+ * @type {string}
+ */
+let chosenTheme = "auto";
+
+/**
+ * An error thrown when imported JSON doesn't describe a theme. The message
+ * explains what is wrong in terms the user can act on.
+ */
+export class ThemeFormatError extends Error {
+	/**
+	 * @param {string} message - A description of the problem.
+	 */
+	constructor(message) {
+		super(message);
+		this.name = "ThemeFormatError";
+	}
+}
+
+// normaliseTheme
+
+/**
+ * Checks that a value holds a theme name and a hex colour for every colour of
+ * {@link THEME_PROPERTIES}, and returns a copy with only those fields, the
+ * name trimmed and the colours in lower case.
+ *
+ * @param {*} value - The value to check, e.g. parsed from JSON.
+ * @returns {Theme} The theme.
+ * @throws {ThemeFormatError} If the value isn't a complete theme.
+ */
+const normaliseTheme = (value) => {
+	if (!value || typeof value !== "object" || Array.isArray(value)) {
+		throw new ThemeFormatError("A theme has to be a JSON object.");
+	}
+
+	const name = typeof value.name === "string" ? value.name.trim() : "";
+	if (!name || name.length > MAX_THEME_NAME_LENGTH) {
+		throw new ThemeFormatError(
+			`A theme needs a name of 1 to ${MAX_THEME_NAME_LENGTH} characters.`
+		);
+	}
+
+	const colors = Object.keys(THEME_PROPERTIES).map((token) => {
+		if (!HEX_COLOR_PATTERN.test(value[token])) {
+			throw new ThemeFormatError(
+				`The "${token}" color of a theme has to be a hex color like #0096ff.`
+			);
+		}
+		return [token, value[token].toLowerCase()];
+	});
+
+	return { name, ...Object.fromEntries(colors) };
+};
+
+// readBuiltInTheme
+
+/**
+ * Reads the colours of a built-in theme from the stylesheet, which is the only
+ * place that holds them, in its `[data-theme]` rules. The rules apply to any
+ * element, so the colours are read from a hidden element with the theme's
+ * `data-theme` attribute.
+ *
+ * @param {HTMLOptionElement} option - The option of the theme in the
+ * {@link book.settings.theme} select, which provides its ID and name.
+ * @returns {Theme} The theme.
+ */
+const readBuiltInTheme = (option) => {
+	const probe = document.createElement("div");
+
+	probe.hidden = true;
+	probe.dataset.theme = option.value;
+	document.body.appendChild(probe);
+
+	const style = window.getComputedStyle(probe);
+	const colors = Object.entries(THEME_PROPERTIES).map(([token, property]) => [
+		token,
+		`#${style
+			.getPropertyValue(property)
+			.split(",")
+			.map((channel) => Number(channel).toString(16).padStart(2, "0"))
+			.join("")}`,
+	]);
+
+	probe.remove();
+	return { name: option.text.trim(), ...Object.fromEntries(colors) };
+};
+
+// loadCustomThemes
+
+/**
+ * Reads the user-defined themes from `localStorage`, in alphabetical order.
+ * Stored entries that aren't complete themes are skipped.
+ *
+ * @returns {Theme[]} The user-defined themes.
+ */
+export const loadCustomThemes = () => {
+	const stored = readStoredJSON(THEMES_STORAGE_KEY, []);
+
+	return (Array.isArray(stored) ? stored : []).flatMap((value) => {
+		try {
+			return [normaliseTheme(value)];
+		} catch (error) {
+			return [];
+		}
+	});
+};
+
+// getCustomThemeId
+
+/**
+ * Returns the theme ID of a user-defined theme, which is what the
+ * {@link book.settings.theme} select and the stored settings hold.
+ *
+ * @param {string} name - The name of the theme.
+ * @returns {string} The theme ID.
+ */
+export const getCustomThemeId = (name) => `${CUSTOM_THEME_PREFIX}${name}`;
+
+// isCustomTheme
+
+/**
+ * Checks whether a theme ID belongs to a user-defined theme.
+ *
+ * @param {string} themeId - The theme ID.
+ * @returns {boolean} Whether the theme is user-defined.
+ */
+export const isCustomTheme = (themeId) =>
+	themeId.startsWith(CUSTOM_THEME_PREFIX);
+
+// getTheme
+
+/**
+ * Looks up the colours of a theme by its ID. The built-in themes are the
+ * options of the {@link book.settings.theme} select in the markup, and their
+ * colours are read from the stylesheet, see {@link readBuiltInTheme}. The
+ * `auto` theme follows the colour scheme of the operating system, so it
+ * returns the `day` or `night` theme.
+ *
+ * @param {string} themeId - `auto`, the ID of a built-in theme, or the ID of a
+ * user-defined theme, see {@link getCustomThemeId}.
+ * @returns {Theme | null} The theme, or `null` if there is no such theme, for
+ * example because a user-defined theme was deleted.
+ */
+export const getTheme = (themeId) => {
+	if (themeId === "auto") {
+		return getTheme(darkSchemeQuery.matches ? "night" : "day");
+	}
+
+	if (isCustomTheme(themeId)) {
+		const name = themeId.slice(CUSTOM_THEME_PREFIX.length);
+		return loadCustomThemes().find((theme) => theme.name === name) || null;
+	}
+
+	const option = [...book.settings.theme.options].find(
+		({ value }) => value === themeId && value !== "auto"
+	);
+	return option ? readBuiltInTheme(option) : null;
+};
+
+// saveCustomTheme
+
+/**
+ * Stores a user-defined theme. A theme with the same name (ignoring case) is
+ * replaced.
+ *
+ * @param {Theme} theme - The theme to store.
+ * @returns {string} The theme ID of the stored theme.
+ * @throws {ThemeFormatError} If the theme is incomplete.
+ */
+export const saveCustomTheme = (theme) => {
+	const normalised = normaliseTheme(theme);
+	const themes = [
+		...loadCustomThemes().filter(
+			({ name }) => name.toLowerCase() !== normalised.name.toLowerCase()
+		),
+		normalised,
+	].sort((a, b) => a.name.localeCompare(b.name));
+
+	writeStoredJSON(THEMES_STORAGE_KEY, themes);
+	return getCustomThemeId(normalised.name);
+};
+
+// deleteCustomTheme
+
+/**
+ * Removes the user-defined theme with the provided name.
+ *
+ * @param {string} name - The name of the theme to remove.
+ */
+export const deleteCustomTheme = (name) => {
+	writeStoredJSON(
+		THEMES_STORAGE_KEY,
+		loadCustomThemes().filter((theme) => theme.name !== name)
+	);
+};
+
+// parseThemeJSON
+
+/**
+ * Reads a theme from JSON, as written by {@link stringifyTheme}.
+ *
+ * @param {string} json - The JSON text, e.g. from an imported file.
+ * @returns {Theme} The theme.
+ * @throws {ThemeFormatError} If the text isn't JSON or doesn't describe a
+ * complete theme.
+ */
+export const parseThemeJSON = (json) => {
+	let value;
+
+	try {
+		value = JSON.parse(json);
+	} catch (error) {
+		throw new ThemeFormatError("The file doesn't contain valid JSON.");
+	}
+
+	return normaliseTheme(value);
+};
+
+// stringifyTheme
+
+/**
+ * Writes a theme as indented JSON, which can be shared and imported again
+ * with {@link parseThemeJSON}.
+ *
+ * @param {Theme} theme - The theme to export.
+ * @returns {string} The JSON text.
+ */
+export const stringifyTheme = (theme) =>
+	JSON.stringify(normaliseTheme(theme), null, 2);
+
+// setThemeProperties
+
+/**
+ * Sets the CSS properties of {@link THEME_PROPERTIES} on an element to the
+ * colours of a theme, which overrides the stylesheet for the element and
+ * everything inside it. Without a theme, the properties are removed again.
+ *
+ * @param {HTMLElement} element - The element to theme.
+ * @param {Theme | null} theme - The theme, or `null` to use the stylesheet.
+ */
+export const setThemeProperties = (element, theme) => {
+	Object.entries(THEME_PROPERTIES).forEach(([token, property]) => {
+		if (!theme) {
+			element.style.removeProperty(property);
+			return;
+		}
+
+		const rgb = [1, 3, 5].map((index) =>
+			parseInt(theme[token].slice(index, index + 2), 16)
+		);
+		element.style.setProperty(property, rgb.join(", "));
+	});
+};
+
+// applyTheme
+
+/**
+ * Applies the chosen theme. It is set as the `data-theme` attribute of the
+ * root element, which switches the CSS properties of the built-in themes in
+ * the stylesheet. The `auto` theme has no values of its own, so the
+ * stylesheet falls back to its `prefers-color-scheme` media query, which the
+ * browser keeps up to date. User-defined themes are set as `custom`, and
+ * their colours are set on the root element with
+ * {@link setThemeProperties}. An unknown theme falls back to `auto`. The
+ * `theme-color` meta tag is updated to the surface colour of the theme that
+ * is shown.
+ *
+ * @param {string} themeId - The chosen theme ID, see {@link getTheme}.
+ */
+export const applyTheme = (themeId) => {
+	const theme = getTheme(themeId);
+	const root = document.documentElement;
+
+	chosenTheme = theme ? themeId : "auto";
+	root.dataset.theme = isCustomTheme(chosenTheme) ? "custom" : chosenTheme;
+	setThemeProperties(root, isCustomTheme(chosenTheme) ? theme : null);
+	book.meta.themeColor.content = getTheme(chosenTheme).surface;
+};
+
+// When the operating system switches between light and dark, the stylesheet
+// follows on its own, but the `theme-color` meta tag has to be updated.
+darkSchemeQuery.addEventListener("change", () => {
+	if (chosenTheme === "auto") applyTheme(chosenTheme);
+});
@@ -0,0 +1,131 @@
+/* eslint-disable import/extensions */
+import { authors, genres } from "./data.js";
+import { DEFAULT_SEARCH_FILTERS } from "./search.js";
+import { DEFAULT_SORT_ORDER } from "./sort-books.js";
+
+/**
+ * @typedef {object} AppState - The parts of the app's state that are kept in
+ * the URL, so that a view can be bookmarked, shared and navigated with the
+ * browser's back and forward buttons.
+ * @property {import("./search.js").SearchFilters} filters - The search inputs
+ * of the current book list.
+ * @property {import("./sort-books.js").SortOrder} sortOrder - The order of the
+ * book list.
+ * @property {number} page - The number of the page shown in the book list.
+ * With the pager, it is the only page shown, and otherwise it is the last page
+ * loaded, so every page up to it is loaded as well. Either way, the URL points
+ * at the same books when the book list is switched between the two.
+ * @property {string | null} bookId - The ID of the book whose details are
+ * open, or `null` if the book dialog is closed.
+ */
+
+/**
+ * The URL query parameter used for each text field of the
+ * {@link import("./search.js").SearchFilters}.
+ */
+const FILTER_PARAMS = {
+	title: "title",
+	mode: "mode",
+	query: "query",
+	genreMatch: "match",
+	yearFrom: "from",
+	yearTo: "to",
+	pagesMin: "minPages",
+	pagesMax: "maxPages",
+};
+
+/**
+ * The values allowed for the URL query parameters that select between a fixed
+ * set of options. Any other value in a URL is ignored and the default is used.
+ */
+const ALLOWED_VALUES = {
+	mode: ["title", "keyword"],
+	genreMatch: ["any", "all"],
+	sortKey: ["default", "popularity", "title", "author", "published", "pages"],
+	sortDirection: ["asc", "desc"],
+};
+
+// serializeAppState
+
+/**
+ * Converts the provided {@link AppState} into a relative URL. Search inputs,
+ * sort order and page number are written as query parameters, and only when
+ * they differ from their defaults, so the URL of the unfiltered library stays
+ * clean. The open book is written to the hash as `#book=<id>`.
+ *
+ * @param {AppState} state - The state to convert.
+ * @returns {string} The relative URL (query and hash) that represents the
+ * state.
+ */
+export const serializeAppState = ({ filters, sortOrder, page, bookId }) => {
+	const params = new URLSearchParams();
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const [field, param] of Object.entries(FILTER_PARAMS)) {
+		const value = filters[field] ?? DEFAULT_SEARCH_FILTERS[field];
+		if (value !== DEFAULT_SEARCH_FILTERS[field]) params.set(param, value);
+	}
+
+	filters.genres.forEach((genre) => params.append("genre", genre));
+	filters.authors.forEach((author) => params.append("author", author));
+
+	if (sortOrder.key !== DEFAULT_SORT_ORDER.key) {
+		params.set("sort", sortOrder.key);
+	}
+	if (sortOrder.direction !== DEFAULT_SORT_ORDER.direction) {
+		params.set("order", sortOrder.direction);
+	}
+	if (page > 1) params.set("page", page);
+
+	const query = params.toString();
+	const hash = bookId ? `#book=${encodeURIComponent(bookId)}` : "";
+
+	return `${window.location.pathname}${query ? `?${query}` : ""}${hash}`;
+};
+
+// parseAppState
+
+/**
+ * Reads an {@link AppState} from the query parameters and hash of the provided
+ * location. Missing or invalid values fall back to their defaults, so any URL
+ * (including one edited by hand) results in a usable state.
+ *
+ * @param {Location | URL} location - The location to read the state from.
+ * @returns {AppState} The state represented by the location.
+ */
+export const parseAppState = ({ search, hash }) => {
+	const params = new URLSearchParams(search);
+	const hashParams = new URLSearchParams(hash.slice(1));
+	const filters = {
+		...DEFAULT_SEARCH_FILTERS,
+		genres: params.getAll("genre").filter((genre) => genre in genres),
+		authors: params.getAll("author").filter((author) => author in authors),
+	};
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const [field, param] of Object.entries(FILTER_PARAMS)) {
+		const value = params.get(param);
+		const isAllowed =
+			!ALLOWED_VALUES[field] || ALLOWED_VALUES[field].includes(value);
+
+		if (value !== null && isAllowed) filters[field] = value;
+	}
+
+	const sortKey = params.get("sort");
+	const sortDirection = params.get("order");
+	const page = Number.parseInt(params.get("page"), 10);
+
+	return {
+		filters,
+		sortOrder: {
+			key: ALLOWED_VALUES.sortKey.includes(sortKey)
+				? sortKey
+				: DEFAULT_SORT_ORDER.key,
+			direction: ALLOWED_VALUES.sortDirection.includes(sortDirection)
+				? sortDirection
+				: DEFAULT_SORT_ORDER.direction,
+		},
+		page: page > 1 ? page : 1,
+		bookId: hashParams.get("book"),
+	};
+};
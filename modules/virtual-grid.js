@@ -0,0 +1,320 @@
+/**
+ * The number of rows kept in the DOM above and below the rows that are
+ * visible, so that they are already rendered when the user scrolls to them.
+ */
+const BUFFER_ROWS = 4;
+
+/**
+ * The number of rows rendered before the row height is known, which are used
+ * to measure it.
+ */
+const MEASURE_ROWS = 4;
+
+// createSpacer
+
+/**
+ * Creates an empty element that spans all columns of a grid, and takes up the
+ * height of the rows that aren't rendered.
+ *
+ * @param {string} className - The class name of the spacer element.
+ * @returns {HTMLDivElement} The created spacer element.
+ */
+const createSpacer = (className) => {
+	const spacer = document.createElement("div");
+
+	spacer.className = className;
+	spacer.setAttribute("aria-hidden", "true");
+	spacer.hidden = true;
+
+	return spacer;
+};
+
+// createVirtualGrid
+
+/**
+ * @typedef {object} VirtualGrid - A CSS grid that only keeps its visible rows
+ * in the DOM.
+ * @property {(items: any[]) => void} reset - Replaces all items of the grid.
+ * @property {(items: any[]) => void} append - Adds items to the end of the
+ * grid.
+ * @property {() => void} measure - Measures the row height again before the
+ * next render, e.g. after the text size changed.
+ * @property {(index: number) => void} focusItem - Moves keyboard focus to the
+ * item at the provided index, rendering it first if it is out of view.
+ */
+
+/**
+ * Factory function that renders a long list of items into a CSS grid
+ * container, but only keeps the rows that are visible in the viewport (plus
+ * {@link BUFFER_ROWS} above and below them) in the DOM. The rows that aren't
+ * rendered are replaced by a spacer element above and below the rendered
+ * rows, so that the height of the grid, and with it the scroll position of
+ * the page, stays the same as if every item was rendered. Which rows are
+ * visible is worked out from the number of grid columns, which the container
+ * gets from its CSS, and the row height, which is measured from the tallest
+ * rendered item and set as the `--grid-row-height` CSS property of the
+ * container, so that every row is equally tall. The row height is measured
+ * again whenever the items are replaced, the window is resized or
+ * {@link VirtualGrid.measure} is called. Elements
+ * are created once they scroll into view and reused for as long as they stay
+ * in view, so that focus isn't lost while scrolling. If the row height can't
+ * be measured, for example because the grid is hidden, all items are
+ * rendered.
+ *
+ * The grid is a single tab stop, using a roving `tabindex`: only the active
+ * item, which is the one that was focused last, can be reached with the Tab
+ * key, and the arrow keys move focus between the items, Home and End to the
+ * first and last item, and Page Up and Page Down by a viewport of rows. If the
+ * active item scrolls out of the rendered rows, the first visible item takes
+ * its place. Page Up on the first row and Page Down on the last row call
+ * `onPageOut`, which can load more items.
+ *
+ * @param {object} options - The virtual grid options.
+ * @param {HTMLElement} options.container - The grid container element.
+ * @param {(item: any) => HTMLElement} options.renderItem - Creates the element
+ * for an item.
+ * @param {string} options.spacerClassName - The class name of the spacer
+ * elements, which should make them span all columns of the grid.
+ * @param {(direction: 1 | -1) => void} [options.onPageOut] - Called when Page
+ * Down is pressed on the last row (`1`) or Page Up on the first row (`-1`).
+ * @returns {VirtualGrid} The created virtual grid object.
+ */
+const createVirtualGrid = ({
+	container,
+	renderItem,
+	spacerClassName,
+	onPageOut = () => {},
+}) => {
+	const topSpacer = createSpacer(spacerClassName);
+	const bottomSpacer = createSpacer(spacerClassName);
+	const state = {
+		items: [],
+		rowHeight: 0,
+		frame: null,
+		activeIndex: 0,
+	};
+
+	/** @type {Map<number, HTMLElement>} - The rendered elements by item index. */
+	const rendered = new Map();
+
+	const getLayout = () => {
+		const style = window.getComputedStyle(container);
+
+		return {
+			columns: style.gridTemplateColumns.split(" ").filter(Boolean).length || 1,
+			rowGap: parseFloat(style.rowGap) || 0,
+			paddingTop: parseFloat(style.paddingTop) || 0,
+		};
+	};
+
+	const setActiveIndex = (index) => {
+		rendered.get(state.activeIndex)?.setAttribute("tabindex", "-1");
+		state.activeIndex = index;
+		rendered.get(index)?.setAttribute("tabindex", "0");
+	};
+
+	const updateSpacer = (spacer, rows, { rowGap }) => {
+		spacer.toggleAttribute("hidden", rows < 1);
+		spacer.style.setProperty(
+			"height",
+			`${Math.max(0, rows * (state.rowHeight + rowGap) - rowGap)}px`
+		);
+	};
+
+	/**
+	 * Renders the items from index `start` up to, but not including, `end`,
+	 * removing all other rendered elements and resizing the spacers to take up
+	 * the height of the rows in between. If the active item isn't among them,
+	 * the item at `preferredIndex` becomes the active item.
+	 */
+	const renderRange = (start, end, layout, preferredIndex = start) => {
+		let previous = topSpacer;
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const [index, element] of rendered) {
+			if (index < start || index >= end) {
+				element.remove();
+				rendered.delete(index);
+			}
+		}
+
+		for (let index = start; index < end; index += 1) {
+			if (!rendered.has(index)) {
+				const element = renderItem(state.items[index]);
+
+				element.setAttribute(
+					"tabindex",
+					index === state.activeIndex ? "0" : "-1"
+				);
+				rendered.set(index, element);
+				previous.after(element);
+			}
+			previous = rendered.get(index);
+		}
+
+		if (end > start && !rendered.has(state.activeIndex)) {
+			setActiveIndex(Math.min(Math.max(preferredIndex, start), end - 1));
+		}
+
+		const rowCount = Math.ceil(state.items.length / layout.columns);
+		updateSpacer(topSpacer, Math.floor(start / layout.columns), layout);
+		updateSpacer(
+			bottomSpacer,
+			rowCount - Math.ceil(end / layout.columns),
+			layout
+		);
+	};
+
+	const measureRowHeight = () => {
+		container.style.removeProperty("--grid-row-height");
+		state.rowHeight = Math.max(
+			0,
+			...[...rendered.values()].map((element) => element.offsetHeight)
+		);
+
+		if (state.rowHeight > 0) {
+			container.style.setProperty("--grid-row-height", `${state.rowHeight}px`);
+		}
+	};
+
+	const render = () => {
+		const layout = getLayout();
+		const { columns, rowGap, paddingTop } = layout;
+
+		if (state.rowHeight === 0) {
+			if (rendered.size === 0) {
+				renderRange(
+					0,
+					Math.min(state.items.length, columns * MEASURE_ROWS),
+					layout
+				);
+			}
+
+			measureRowHeight();
+
+			if (state.rowHeight === 0) {
+				renderRange(0, state.items.length, layout);
+				return;
+			}
+		}
+
+		const rowStride = state.rowHeight + rowGap;
+		const rowCount = Math.ceil(state.items.length / columns);
+		const top = container.getBoundingClientRect().top + paddingTop;
+		const firstVisibleRow = Math.max(0, Math.floor(-top / rowStride));
+		const firstRow = Math.max(0, firstVisibleRow - BUFFER_ROWS);
+		const lastRow = Math.min(
+			rowCount,
+			Math.ceil((window.innerHeight - top) / rowStride) + BUFFER_ROWS
+		);
+
+		renderRange(
+			Math.min(firstRow * columns, state.items.length),
+			Math.min(Math.max(firstRow, lastRow) * columns, state.items.length),
+			layout,
+			firstVisibleRow * columns
+		);
+	};
+
+	const scheduleRender = () => {
+		if (state.frame !== null) return;
+
+		state.frame = window.requestAnimationFrame(() => {
+			state.frame = null;
+			render();
+		});
+	};
+
+	const reset = (items) => {
+		state.items = [...items];
+		state.rowHeight = 0;
+		state.activeIndex = 0;
+		rendered.clear();
+		container.replaceChildren(topSpacer, bottomSpacer);
+		render();
+	};
+
+	const append = (items) => {
+		state.items.push(...items);
+		render();
+	};
+
+	const measure = () => {
+		state.rowHeight = 0;
+		scheduleRender();
+	};
+
+	const focusItem = (index) => {
+		if (state.items.length < 1) return;
+
+		const target = Math.min(Math.max(0, index), state.items.length - 1);
+
+		if (!rendered.has(target)) {
+			const { columns, rowGap, paddingTop } = getLayout();
+			const rowTop =
+				container.getBoundingClientRect().top +
+				paddingTop +
+				Math.floor(target / columns) * (state.rowHeight + rowGap);
+
+			window.scrollBy(0, rowTop - (window.innerHeight - state.rowHeight) / 2);
+			render();
+		}
+
+		setActiveIndex(target);
+		rendered.get(target)?.focus();
+	};
+
+	const handleKeydown = (event) => {
+		const { columns, rowGap } = getLayout();
+		const index = state.activeIndex;
+		const last = state.items.length - 1;
+		const row = Math.floor(index / columns);
+		const lastRow = Math.floor(last / columns);
+		const rowStride = Math.max(1, state.rowHeight + rowGap);
+		const pageRows = Math.max(1, Math.floor(window.innerHeight / rowStride));
+		const targets = {
+			ArrowLeft: index - 1,
+			ArrowRight: index + 1,
+			ArrowUp: row > 0 ? index - columns : index,
+			ArrowDown: row < lastRow ? index + columns : index,
+			Home: 0,
+			End: last,
+			PageUp: index - pageRows * columns,
+			PageDown: index + pageRows * columns,
+		};
+
+		if (
+			!Object.hasOwn(targets, event.key) ||
+			event.altKey ||
+			event.ctrlKey ||
+			event.metaKey
+		) {
+			return;
+		}
+
+		event.preventDefault();
+
+		if (event.key === "PageUp" && row === 0) onPageOut(-1);
+		else if (event.key === "PageDown" && row === lastRow) onPageOut(1);
+		else focusItem(targets[event.key]);
+	};
+
+	const handleFocusIn = (event) => {
+		// eslint-disable-next-line no-restricted-syntax
+		for (const [index, element] of rendered) {
+			if (element.contains(event.target)) {
+				setActiveIndex(index);
+				return;
+			}
+		}
+	};
+
+	container.addEventListener("keydown", handleKeydown);
+	container.addEventListener("focusin", handleFocusIn);
+	window.addEventListener("scroll", scheduleRender, { passive: true });
+	window.addEventListener("resize", measure);
+
+	return { reset, append, measure, focusItem };
+};
+
+export default createVirtualGrid;
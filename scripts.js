@@ -3,19 +3,103 @@ import { authors, books } from "./modules/data.js";
 
 import book from "./modules/dom-manipulation.js";
 
+import { getBook } from "./modules/catalog.js";
+
 import { booksPreviewObj } from "./modules/books-preview.js";
 
+import {
+	DEFAULT_SEARCH_FILTERS,
+	filterBooks,
+	getAutocompleteSuggestions,
+	suggestFilters,
+} from "./modules/search.js";
+
+import createAutocomplete from "./modules/autocomplete.js";
+
+import {
+	createAuthorGenresHTML,
+	createAuthorTimelineHTML,
+	describeAuthorProfile,
+	getAuthorProfile,
+} from "./modules/author-profile.js";
+
+import createRecommender from "./modules/recommendations.js";
+
+import {
+	createGenreChipsHTML,
+	createRelatedBooksHTML,
+	formatNumber,
+	formatPublishedDate,
+	formatReadingTime,
+} from "./modules/book-details.js";
+
+import createInfiniteScroll from "./modules/infinite-scroll.js";
+
+import {
+	chooseAuthor,
+	clearAuthors,
+	fillSearchForm,
+	filterAuthorPicker,
+	findHistorySearch,
+	handleAuthorFilterKeydown,
+	readSearchForm,
+	refreshFacets,
+	renderSearchHistory,
+	validateQuery,
+} from "./modules/search-form.js";
+
+import {
+	deleteSavedSearch,
+	recordRecentSearch,
+	saveSearch,
+} from "./modules/saved-searches.js";
+
+import { parseAppState, serializeAppState } from "./modules/url-state.js";
+
+import {
+	THEMES_STORAGE_KEY,
+	ThemeFormatError,
+	applyTheme,
+	deleteCustomTheme,
+	getTheme,
+	isCustomTheme,
+	parseThemeJSON,
+	saveCustomTheme,
+	stringifyTheme,
+} from "./modules/theme.js";
+
+import {
+	applyAccessibilitySettings,
+	getScrollBehavior,
+} from "./modules/accessibility.js";
+
+import {
+	fillThemeEditor,
+	readThemeEditor,
+	renderThemeOptions,
+	showThemeError,
+	updateThemePreview,
+} from "./modules/theme-editor.js";
+
+import {
+	SETTINGS_STORAGE_KEY,
+	loadSettings,
+	saveRootAttributes,
+	saveSettings,
+} from "./modules/settings.js";
+
 // toggleDialogHandler
 
 /**
  * Toggles the dialog for either {@link book.search.dialog},
- * {@link book.list.dialog}, or {@link book.settings.dialog} based on the
- * provided {@link feature}. The function automatically opens the dialog modal
- * if it's closed, or closes it if it's open, for the associated `feature`
- * (search, list, or settings dialog) when invoked.
+ * {@link book.list.dialog}, {@link book.author.dialog}, or
+ * {@link book.settings.dialog} based on the provided {@link feature}. The
+ * function automatically opens the dialog modal if it's closed, or closes it
+ * if it's open, for the associated `feature` (search, list, author, or
+ * settings dialog) when invoked.
  *
- * @param {"search" | "list" | "settings"} feature - The app features that
- * support the dialog modal.
+ * @param {"search" | "list" | "author" | "settings"} feature - The app
+ * features that support the dialog modal.
  */
 const handleToggleDialog = (feature) => {
 	if (book[feature].dialog.open) {
@@ -25,139 +109,884 @@ const handleToggleDialog = (feature) => {
 	}
 };
 
+// saveAppState
+
+/**
+ * The search inputs that the current book list was filtered with.
+ *
+ * @type {import("./modules/search.js").SearchFilters}
+ */
+let currentFilters = DEFAULT_SEARCH_FILTERS;
+
+/**
+ * The ID of the book whose details are shown in the {@link book.list.dialog},
+ * or `null` if the dialog is closed.
+ *
+ * @type {string | null}
+ */
+let activeBookId = null;
+
+/**
+ * Writes the current search inputs, sort order, page number and open book to
+ * the URL, see {@link serializeAppState}. A `"push"` adds a new entry to the
+ * browser history, so that the back button returns to the previous view,
+ * while a `"replace"` updates the current entry, which is used for loading
+ * more books so that each page doesn't need its own back button press.
+ * Nothing is written if the URL already represents the current state.
+ *
+ * @param {"push" | "replace"} [method = "push"] - How to update the browser
+ * history.
+ */
+const saveAppState = (method = "push") => {
+	const url = serializeAppState({
+		filters: currentFilters,
+		sortOrder: booksPreviewObj.sortOrder,
+		page: booksPreviewObj.currentPage,
+		bookId: activeBookId,
+	});
+	const { pathname, search, hash } = window.location;
+
+	if (url === `${pathname}${search}${hash}`) return;
+
+	if (method === "push") window.history.pushState(null, "", url);
+	else window.history.replaceState(null, "", url);
+};
+
+// handleLoadMoreBooks
+
+/**
+ * Event handler function triggered when a user clicks the
+ * {@link book.list.button}, or when the end of the book list scrolls into view
+ * in infinite scroll mode. The next page of books is loaded and its number is
+ * saved to the URL, replacing the current history entry.
+ */
+const handleLoadMoreBooks = () => {
+	booksPreviewObj.loadNextPage();
+	saveAppState("replace");
+};
+
+// handleShowPage
+
+/**
+ * Shows a single numbered page of books in the book list, when the user
+ * navigates with the {@link book.list.pager}. Page numbers outside the
+ * existing pages show the first or last page instead. The page is saved to
+ * the URL, replacing the current history entry, and the book list is
+ * scrolled back to its top.
+ *
+ * @param {number} pageNum - The number of the page to show, where `1` is the
+ * first page.
+ */
+const handleShowPage = (pageNum) => {
+	booksPreviewObj.showPage(pageNum);
+	saveAppState("replace");
+	window.scrollTo({ top: 0, behavior: getScrollBehavior() });
+};
+
+// handlePageOutOfBookList
+
+/**
+ * Called when the user presses Page Down on the last row of the book list, or
+ * Page Up on its first row, see {@link booksPreviewObj.onPageOut}. With the
+ * {@link book.list.pager}, the next or previous page is shown, and otherwise
+ * Page Down loads the next page, just like the {@link book.list.button} does.
+ * Keyboard focus moves to the first book that came into view.
+ *
+ * @param {1 | -1} direction - `1` for Page Down, `-1` for Page Up.
+ */
+const handlePageOutOfBookList = (direction) => {
+	if (booksPreviewObj.isPaged) {
+		const pageNum = booksPreviewObj.currentPage + direction;
+		if (pageNum < 1 || pageNum > booksPreviewObj.pageCount) return;
+
+		handleShowPage(pageNum);
+		booksPreviewObj.focusPreview(0);
+		return;
+	}
+
+	if (direction < 0 || book.list.button.disabled) return;
+
+	const firstNewPreview =
+		booksPreviewObj.currentPage * booksPreviewObj.pageSize;
+
+	handleLoadMoreBooks();
+	booksPreviewObj.focusPreview(firstNewPreview);
+};
+
+// applyListSettings
+
+/**
+ * Loads the next page of books automatically when the end of the
+ * {@link book.list.items} comes into view, see {@link createInfiniteScroll}.
+ */
+const infiniteScroll = createInfiniteScroll({
+	sentinel: book.list.sentinel,
+	canLoadMore: () => !book.list.button.disabled,
+	onLoadMore: handleLoadMoreBooks,
+});
+
+/**
+ * Switches how more books are loaded into the book list, and how many books
+ * make up a page. In `button` mode the user clicks the {@link book.list.button}
+ * to load the next page, in `scroll` mode the button is hidden and pages are
+ * loaded by {@link infiniteScroll} as the user scrolls down, and in `pager`
+ * mode a single page is shown at a time, which the user picks with the
+ * {@link book.list.pager}. If the mode or page size changes, the book list is
+ * reloaded with the same books in view. The caller saves the new page number
+ * to the URL where needed.
+ *
+ * @param {object} listSettings - The book list settings.
+ * @param {"button" | "scroll" | "pager"} listSettings.loading - How to load
+ * more books.
+ * @param {number} listSettings.pageSize - The number of books on a page.
+ */
+const applyListSettings = ({ loading, pageSize }) => {
+	const isPaged = loading === "pager";
+
+	book.list.button.hidden = loading !== "button";
+	book.list.pager.hidden = !isPaged;
+
+	if (loading === "scroll") infiniteScroll.enable();
+	else infiniteScroll.disable();
+
+	if (
+		isPaged === booksPreviewObj.isPaged &&
+		pageSize === booksPreviewObj.pageSize
+	) {
+		return;
+	}
+
+	booksPreviewObj.isPaged = isPaged;
+	booksPreviewObj.pageSize = pageSize;
+	booksPreviewObj.restorePage(booksPreviewObj.currentPage);
+};
+
+// applySettings
+
+/**
+ * The settings that are currently applied, see {@link loadSettings}.
+ *
+ * @type {import("./modules/settings.js").Settings}
+ */
+let currentSettings = loadSettings();
+
+/**
+ * Applies the provided settings to the app. The theme is applied with
+ * {@link applyTheme} and the reading and motion settings with
+ * {@link applyAccessibilitySettings}, and the root element attributes they
+ * set are stored with {@link saveRootAttributes}, so that the next page load
+ * starts in the same theme and text size. As the text settings change the
+ * height of the book previews, the book list is laid out again before the
+ * book list settings are applied with {@link applyListSettings}.
+ *
+ * @param {import("./modules/settings.js").Settings} settings - The settings to
+ * apply.
+ */
+const applySettings = (settings) => {
+	currentSettings = settings;
+	applyTheme(settings.theme);
+	applyAccessibilitySettings(settings);
+	saveRootAttributes();
+	booksPreviewObj.refreshLayout();
+	applyListSettings(settings);
+};
+
+// fillSettingsForm
+
+/**
+ * Updates the {@link book.settings.form} fields to show the settings that are
+ * currently applied, so that the form never shows a choice that isn't active,
+ * for example after the dialog was cancelled. The theme editor shows the
+ * colours of the applied theme, see {@link fillThemeEditor}.
+ */
+const fillSettingsForm = () => {
+	renderThemeOptions(currentSettings.theme);
+	fillThemeEditor(currentSettings.theme);
+	book.settings.loading.value = currentSettings.loading;
+	book.settings.pageSize.value = currentSettings.pageSize;
+	book.settings.textSize.value = currentSettings.textSize;
+	book.settings.lineSpacing.value = currentSettings.lineSpacing;
+	book.settings.motion.value = currentSettings.motion;
+	book.settings.font.value = currentSettings.font;
+};
+
 // toggleThemeHandler
 
 /**
  * Event handler function triggered when a user submits the
- * {@link book.settings.form}. This function retrieves the selected
- * {@link book.settings.theme} value, which can be either `night` or `day`. The
- * selected theme is used as a key to fetch the corresponding CSS RGB color
- * styles for the dark and light themes from the {@link css} object literal.
- * These CSS property values are then individually parsed into the
- * `CSSStyleDeclaration.setProperty()` method as new values. Subsequently, the
- * CSS properties (`--color-dark` or `--color-light`) are updated using this
- * method, effectively toggling the app's theme between 'night' and 'day.'
+ * {@link book.settings.form}. The chosen settings are applied with
+ * {@link applySettings} and stored with {@link saveSettings}, so that they
+ * are applied again the next time the app loads. As the book list may have
+ * been reloaded with a different page size, the page number is saved to the
+ * URL, replacing the current history entry.
  *
  * @param {Event} event - The event object representing the form submission.
  */
 const toggleThemeHandler = (event) => {
 	event.preventDefault();
 
-	const css = {
-		day: { dark: "10, 10, 20", light: "255, 255, 255" },
-		night: { dark: "255, 255, 255", light: "10, 10, 20" },
-	};
 	const formData = new FormData(event.target);
-	const { theme } = Object.fromEntries(formData);
-	const styleDeclaration = document.styleSheets[0].cssRules[0].style;
+	const { pageSize, textSize, ...fields } = Object.fromEntries(formData);
+	const settings = {
+		...fields,
+		pageSize: Number(pageSize),
+		textSize: Number(textSize),
+	};
 
-	styleDeclaration.setProperty("--color-dark", css[theme].dark);
-	styleDeclaration.setProperty("--color-light", css[theme].light);
+	applySettings(settings);
+	saveSettings(settings);
+	saveAppState("replace");
 
 	handleToggleDialog("settings");
 };
 
-// handleOpenBookPreviewDialog
+// handleChooseTheme
+
+/**
+ * Event handler function triggered when a user chooses a theme in the
+ * {@link book.settings.theme} select. Its colours are shown in the theme
+ * editor and its preview, see {@link fillThemeEditor}.
+ */
+const handleChooseTheme = () => {
+	fillThemeEditor(book.settings.theme.value);
+};
+
+// handleSaveTheme
+
+/**
+ * Event handler function triggered when a user clicks the
+ * {@link book.settings.themeSave} button. The colours in the theme editor are
+ * saved as a user-defined theme under the name in the
+ * {@link book.settings.themeName} field, which is required, and the theme is
+ * chosen in the theme select. It is applied once the settings are saved.
+ */
+const handleSaveTheme = () => {
+	const theme = readThemeEditor();
+
+	book.settings.themeName.setCustomValidity(
+		theme.name ? "" : "Enter a name to save these colors under."
+	);
+	if (!book.settings.themeName.reportValidity()) return;
+
+	const themeId = saveCustomTheme(theme);
+	renderThemeOptions(themeId);
+	fillThemeEditor(themeId);
+};
+
+// handleDeleteTheme
+
+/**
+ * Event handler function triggered when a user clicks the
+ * {@link book.settings.themeDelete} button, which removes the user-defined
+ * theme that is chosen in the {@link book.settings.theme} select. If the
+ * theme is the one applied, the app switches to the `auto` theme straight
+ * away, as the theme can't be restored from the settings any more.
+ */
+const handleDeleteTheme = () => {
+	const themeId = book.settings.theme.value;
+	const theme = getTheme(themeId);
+	if (!isCustomTheme(themeId) || !theme) return;
+
+	deleteCustomTheme(theme.name);
+
+	if (currentSettings.theme === themeId) {
+		applySettings({ ...currentSettings, theme: "auto" });
+		saveSettings(currentSettings);
+	}
+
+	renderThemeOptions("auto");
+	fillThemeEditor("auto");
+};
+
+// handleExportTheme
+
+/**
+ * Event handler function triggered when a user clicks the
+ * {@link book.settings.themeExport} button. The colours in the theme editor
+ * are downloaded as a JSON file, see {@link stringifyTheme}, named after the
+ * {@link book.settings.themeName} field, or after the chosen theme if the
+ * field is empty.
+ */
+const handleExportTheme = () => {
+	const edited = readThemeEditor();
+	const name =
+		edited.name ||
+		book.settings.theme.selectedOptions[0]?.innerText.trim() ||
+		"Theme";
+	const file = new Blob([stringifyTheme({ ...edited, name })], {
+		type: "application/json",
+	});
+	const url = URL.createObjectURL(file);
+	const link = document.createElement("a");
+
+	link.href = url;
+	link.download = `${name}.theme.json`;
+	link.click();
+
+	// Some browsers only start reading the file after the click handler has
+	// returned, so the URL has to stay valid until then.
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// handleImportTheme
+
+/**
+ * Event handler function triggered when a user picks a file with the
+ * {@link book.settings.themeFile} input. The theme in the file, see
+ * {@link parseThemeJSON}, is saved as a user-defined theme and chosen in the
+ * theme select. If the file doesn't hold a theme, the reason is shown below
+ * the theme editor instead.
+ */
+const handleImportTheme = async () => {
+	const [file] = book.settings.themeFile.files;
+	if (!file) return;
+
+	book.settings.themeFile.value = "";
+
+	try {
+		const themeId = saveCustomTheme(parseThemeJSON(await file.text()));
+		renderThemeOptions(themeId);
+		fillThemeEditor(themeId);
+	} catch (error) {
+		if (!(error instanceof ThemeFormatError)) throw error;
+		showThemeError(`${file.name} can't be imported: ${error.message}`);
+	}
+};
+
+// handleStoredSettingsChange
 
 /**
- * Handles the click event when a book preview from {@link book.list.items} is
- * clicked. This function extracts the `preview id` of the clicked button
- * element (book preview), then searches the {@link books} object for the
- * matching book. If found, it populates the elements within
- * {@link book.list.dialog} (`title`, `subtitle`, `description`, `image`,
- * `blur`) with the book's data and displays the dialog modal to the user.
+ * Event handler function triggered when the stored data changes in another
+ * tab of the app. Settings and user-defined themes saved in another tab are
+ * applied to this one too, so that all open tabs look the same.
  *
- * @param {Event} event - The click event.
+ * @param {StorageEvent} event - The storage event.
  */
-const handleOpenBookPreviewDialog = (event) => {
-	const pathArray = Array.from(event.path || event.composedPath());
-	let active = null;
+const handleStoredSettingsChange = (event) => {
+	if (![SETTINGS_STORAGE_KEY, THEMES_STORAGE_KEY].includes(event.key)) return;
+
+	applySettings(loadSettings());
+	fillSettingsForm();
+	saveAppState("replace");
+};
+
+// showBookDetails
+
+/**
+ * Finds the books shown in the "More like this" strip of the detail dialog.
+ */
+const recommender = createRecommender(books);
+
+/**
+ * Populates the elements within {@link book.list.dialog} (`title`,
+ * `subtitle`, `description`, `image`, `blur`) with the data of the provided
+ * book and displays the dialog modal to the user, if it isn't open already.
+ * The author name is a button that opens their profile, see
+ * {@link handleOpenAuthorProfile}, and the genres of the book are shown as
+ * buttons that search for that genre, see {@link handleSearchGenre}, next to
+ * its publication date, page count, estimated reading time and popularity
+ * rank. Below the description, the {@link book.list.related} strip shows the
+ * books most similar to it, see {@link createRecommender}. The
+ * {@link book.list.previous} and {@link book.list.next} buttons are
+ * disabled when there is no book before or after it in the book list, which
+ * is also the case for a book that isn't in the book list at all. A disabled
+ * button can't keep the focus, so if it had the focus, the focus moves to
+ * the other button, or to the {@link book.list.close} button if both are
+ * disabled.
+ *
+ * @param {import("./modules/books-preview.js").BookItem} active - The book to
+ * show the details of.
+ */
+const showBookDetails = (active) => {
+	activeBookId = active.id;
 
-	// eslint-disable-next-line no-restricted-syntax
-	for (const node of pathArray) {
-		if (active) break;
+	if (!book.list.dialog.open) handleToggleDialog("list");
+	book.list.blur.src = active.image;
+	book.list.image.src = active.image;
+	book.list.title.innerText = active.title;
+	book.list.author.innerText = authors[active.author];
+	book.list.year.innerText = `(${new Date(active.published).getFullYear()})`;
+	book.list.description.innerText = active.description;
+	book.list.genres.replaceChildren(createGenreChipsHTML(active.genres));
+	book.list.published.dateTime = active.published;
+	book.list.published.innerText = formatPublishedDate(active.published);
+	book.list.pages.innerText = formatNumber(active.pages);
+	book.list.readingTime.innerText = formatReadingTime(active.pages);
+	book.list.popularity.innerText = `#${formatNumber(active.popularity)}`;
+	book.list.related.replaceChildren(
+		createRelatedBooksHTML(recommender.getSimilarBooks(active))
+	);
+	book.list.related.scrollLeft = 0;
+	book.list.dialog.scrollTop = 0;
 
-		if (node?.dataset?.preview) {
-			let result = null;
+	const index = booksPreviewObj.sortedBooksSource.indexOf(active);
+	const focused = document.activeElement;
 
-			// eslint-disable-next-line no-restricted-syntax
-			for (const singleBook of books) {
-				if (result) break;
-				if (singleBook.id === node?.dataset?.preview) result = singleBook;
-			}
+	book.list.previous.disabled = index < 1;
+	book.list.next.disabled =
+		index < 0 || index >= booksPreviewObj.sortedBooksSource.length - 1;
 
-			active = result;
-		}
+	if (focused === book.list.previous || focused === book.list.next) {
+		const fallback = [focused, book.list.previous, book.list.next].find(
+			(button) => !button.disabled
+		);
+		(fallback || book.list.close).focus();
 	}
+};
 
-	if (active) {
-		handleToggleDialog("list");
-		book.list.blur.src = active.image;
-		book.list.image.src = active.image;
-		book.list.title.innerText = active.title;
-		book.list.subtitle.innerText = `${authors[active.author]} (${new Date(
-			active.published
-		).getFullYear()})`;
-		book.list.description.innerText = active.description;
+// handleStepBook
+
+/**
+ * Replaces the book shown in the {@link book.list.dialog} with the book
+ * before or after it in the book list, in the order the books are shown in,
+ * when the user clicks the {@link book.list.previous} or
+ * {@link book.list.next} button. If that book isn't loaded into the book list
+ * yet, its page is loaded first, see {@link booksPreviewObj.loadBook}, so that
+ * closing the dialog returns to a book list that includes it. The new book
+ * and page count are saved to the URL, replacing the current history entry.
+ *
+ * @param {-1 | 1} step - `-1` for the previous book, or `1` for the next book.
+ */
+const handleStepBook = (step) => {
+	const { sortedBooksSource } = booksPreviewObj;
+	const index = sortedBooksSource.findIndex(({ id }) => id === activeBookId);
+	const active = index < 0 ? null : sortedBooksSource[index + step];
+
+	if (!active) return;
+
+	booksPreviewObj.loadBook(index + step);
+	showBookDetails(active);
+	saveAppState("replace");
+};
+
+// handleBookDialogKeydown
+
+/**
+ * Event handler function triggered when a key is pressed inside the
+ * {@link book.list.dialog}. The left and right arrow keys show the previous
+ * and next book, like the {@link book.list.previous} and
+ * {@link book.list.next} buttons.
+ *
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+const handleBookDialogKeydown = (event) => {
+	if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+	if (event.key === "ArrowLeft") {
+		event.preventDefault();
+		handleStepBook(-1);
+	} else if (event.key === "ArrowRight") {
+		event.preventDefault();
+		handleStepBook(1);
 	}
 };
 
-// handleBookFilterSearch
+// handleOpenBookPreviewDialog
 
 /**
- * This event handler takes a user's book search inputs (`title`, `authors`,
- * and/or `genres`) when the {@link book.search.form} is submitted. It iterates
- * over the {@link books} book library and assigns the result of all books that
- * match the supplied search inputs to the {@link current.booksSource} as the
- * new reference book library, but filtered. The {@link current.page} is reset
- * to `1`, the {@link book.list.items} book preview catalog is cleared, and the
- * {@link createBookPreviewsHTML} function is called to create the first
- * filtered book previews fragment, which is then appended to the HTML DOM.
- * Additional filtered book previews fragments will be created and appended to
- * the HTML DOM when the user loads more books by clicking the
- * {@link book.list.button}. If the book search returns fewer than `1` book from
- * the main book library, an error message will be displayed to the user.
+ * The ID of the book whose preview in the {@link book.list.items} opened the
+ * detail dialog, which gets keyboard focus back when the dialog closes, see
+ * {@link handleCloseBookPreviewDialog}.
+ *
+ * @type {string | null}
  */
-const handleBookFilterSearch = (event) => {
-	event.preventDefault();
+let previewOriginId = null;
 
-	const formData = new FormData(event.target);
-	const filters = Object.fromEntries(formData);
-	const result = [];
-
-	// eslint-disable-next-line no-restricted-syntax, no-shadow
-	for (const book of books) {
-		let genreMatch = filters.genre === "any";
-
-		// eslint-disable-next-line no-restricted-syntax
-		for (const singleGenre of book.genres) {
-			if (genreMatch) break;
-			if (singleGenre === filters.genre) genreMatch = true;
-		}
-
-		if (
-			(filters.title.trim() === "" ||
-				book.title.toLowerCase().includes(filters.title.toLowerCase())) &&
-			(filters.author === "any" || book.author === filters.author) &&
-			genreMatch
-		) {
-			result.push(book);
-		}
+/**
+ * Handles the click event when a book preview from {@link book.list.items}, or
+ * from the "More like this" strip in {@link book.list.related}, is clicked.
+ * This function extracts the `preview id` of the closest book preview to the
+ * clicked element, then looks up the matching book with {@link getBook}. If
+ * found, the book's details are shown with {@link showBookDetails}, and the
+ * open book is saved to the URL. A preview of the book list is remembered as
+ * the {@link previewOriginId}.
+ *
+ * @param {Event} event - The click event.
+ */
+const handleOpenBookPreviewDialog = (event) => {
+	const preview = event.target.closest("[data-preview]");
+	const active = preview && getBook(preview.dataset.preview);
+
+	if (active) {
+		if (event.currentTarget === book.list.items) previewOriginId = active.id;
+
+		showBookDetails(active);
+		saveAppState();
 	}
+};
+
+// runBookSearch
+
+/**
+ * The corrected search inputs offered to the user through the
+ * {@link book.list.suggestionButton} after a search without results, see
+ * {@link suggestFilters}.
+ *
+ * @type {import("./modules/search.js").SearchFilters | null}
+ */
+let suggestedFilters = null;
+
+/**
+ * Passes the provided search inputs to {@link filterBooks}, which returns all
+ * books from the {@link books} book library that match them; in `keyword` mode
+ * the title query is also matched against descriptions and author names, and
+ * the result is ranked by relevance. The result is assigned to the
+ * {@link current.booksSource} as the new reference book library, but filtered.
+ * The {@link current.page} is reset to `1`, the {@link book.list.items} book
+ * preview catalog is cleared, and the first page of filtered books is loaded
+ * into it. Additional pages of filtered books will be loaded when the user
+ * loads more books by clicking the {@link book.list.button}. If the book
+ * search returns fewer than `1` book from the main book library, an error
+ * message will be displayed to the user, together with a "Did you mean"
+ * spelling suggestion when {@link suggestFilters} finds one.
+ *
+ * @param {import("./modules/search.js").SearchFilters} filters - The search
+ * inputs to filter the book library with.
+ */
+const runBookSearch = (filters) => {
+	const result = filterBooks(filters);
+
+	currentFilters = filters;
 
 	if (result.length < 1) {
+		suggestedFilters = suggestFilters(filters);
 		book.list.message.classList.add("list__message_show");
 	} else {
+		suggestedFilters = null;
 		book.list.message.classList.remove("list__message_show");
 	}
 
+	book.list.suggestion.hidden = !suggestedFilters;
+	book.list.suggestionButton.innerText = suggestedFilters?.title || "";
+
 	booksPreviewObj.currentBooksSource = result;
 	booksPreviewObj.loadFirstPage();
 
-	window.scrollTo({ top: 0, behavior: "smooth" });
+	window.scrollTo({ top: 0, behavior: getScrollBehavior() });
+};
+
+// handleBookFilterSearch
+
+/**
+ * This event handler takes a user's book search inputs (`title`, `mode`,
+ * `query`, `authors`, and/or `genres`) when the {@link book.search.form} is
+ * submitted, reads them with {@link readSearchForm}, runs the search through
+ * {@link runBookSearch}, records it as a recent search and closes the search
+ * dialog. If the advanced query is invalid, the dialog stays open with the
+ * query field focused instead.
+ */
+const handleBookFilterSearch = (event) => {
+	event.preventDefault();
+
+	if (!validateQuery()) {
+		book.search.query.focus();
+		return;
+	}
+
+	const filters = readSearchForm();
+
+	runBookSearch(filters);
+	recordRecentSearch(filters);
+	renderSearchHistory();
+	saveAppState();
 	handleToggleDialog("search");
 };
 
+// handleApplySuggestion
+
+/**
+ * Event handler function triggered when a user clicks the "Did you mean"
+ * {@link book.list.suggestionButton}. The corrected {@link suggestedFilters}
+ * are copied into the {@link book.search.form}, so that the search dialog
+ * reflects them, and the search is run again.
+ */
+const handleApplySuggestion = () => {
+	if (!suggestedFilters) return;
+
+	fillSearchForm(suggestedFilters);
+	runBookSearch(suggestedFilters);
+	saveAppState();
+};
+
+// runShortcutSearch
+
+/**
+ * Runs a search that the user started from the detail dialog rather than the
+ * search dialog, such as a search for a genre or author of the open book. The
+ * detail dialog is closed without returning focus to the
+ * {@link previewOriginId}, which isn't part of the new results, and the search
+ * is copied into the {@link book.search.form} and recorded as a recent
+ * search, just like a search submitted from the search dialog.
+ *
+ * @param {import("./modules/search.js").SearchFilters} filters - The search
+ * inputs to filter the book library with.
+ */
+const runShortcutSearch = (filters) => {
+	activeBookId = null;
+	previewOriginId = null;
+	book.list.dialog.close();
+
+	fillSearchForm(filters);
+	runBookSearch(filters);
+	recordRecentSearch(filters);
+	renderSearchHistory();
+	saveAppState();
+};
+
+// handleSearchGenre
+
+/**
+ * Event handler function triggered when a user clicks one of the genre
+ * buttons in the {@link book.list.genres} of the detail dialog, which runs a
+ * search for all books of that genre through {@link runShortcutSearch}.
+ *
+ * @param {Event} event - The click event.
+ */
+const handleSearchGenre = (event) => {
+	const chip = event.target.closest("[data-genre]");
+	if (!chip) return;
+
+	runShortcutSearch({
+		...DEFAULT_SEARCH_FILTERS,
+		genres: [chip.dataset.genre],
+	});
+};
+
+// handleOpenAuthorProfile
+
+/**
+ * The ID of the author whose profile is shown in the
+ * {@link book.author.dialog}.
+ *
+ * @type {string | null}
+ */
+let activeAuthorId = null;
+
+/**
+ * Event handler function triggered when a user clicks the author name in the
+ * detail dialog. The {@link book.author.dialog} opens on top of the detail
+ * dialog with the profile of the author of the open book, see
+ * {@link getAuthorProfile}: a summary of their books, the genres they write
+ * in, and a timeline of all their books in publication order.
+ */
+const handleOpenAuthorProfile = () => {
+	const active = getBook(activeBookId);
+	if (!active) return;
+
+	const profile = getAuthorProfile(active.author);
+
+	activeAuthorId = profile.id;
+	book.author.name.innerText = profile.name;
+	book.author.summary.innerText = describeAuthorProfile(profile);
+	book.author.genres.replaceChildren(createAuthorGenresHTML(profile));
+	book.author.books.replaceChildren(createAuthorTimelineHTML(profile));
+	book.author.search.innerText = `Show ${
+		profile.books.length === 1 ? "book" : "all books"
+	} in list`;
+
+	handleToggleDialog("author");
+	book.author.books.scrollTop = 0;
+};
+
+// handleOpenAuthorBook
+
+/**
+ * Event handler function triggered when a user clicks a book title in the
+ * {@link book.author.books} timeline. The author profile is closed and the
+ * detail dialog underneath it shows the chosen book instead, which is saved
+ * to the URL like opening a book from the book list.
+ *
+ * @param {Event} event - The click event.
+ */
+const handleOpenAuthorBook = (event) => {
+	const item = event.target.closest("[data-preview]");
+	const active = item && getBook(item.dataset.preview);
+	if (!active) return;
+
+	handleToggleDialog("author");
+	showBookDetails(active);
+	saveAppState();
+};
+
+// handleSearchAuthor
+
+/**
+ * Event handler function triggered when a user clicks the
+ * {@link book.author.search} button, which closes the author profile and runs
+ * a search for all books by the author through {@link runShortcutSearch}.
+ */
+const handleSearchAuthor = () => {
+	handleToggleDialog("author");
+	runShortcutSearch({ ...DEFAULT_SEARCH_FILTERS, authors: [activeAuthorId] });
+};
+
+// handleSelectSearchHistory
+
+/**
+ * Event handler function triggered when a user picks a recent or saved search
+ * from the {@link book.search.history} select. The search inputs of the chosen
+ * search are copied into the {@link book.search.form}, where they can be
+ * adjusted and run with the Search button, through the same
+ * {@link handleBookFilterSearch} path as any other search. The name of a saved
+ * search is copied into the {@link book.search.saveName} field, so that it can
+ * be saved again under the same name after adjusting it.
+ */
+const handleSelectSearchHistory = () => {
+	const { value } = book.search.history;
+	const search = findHistorySearch(value);
+	const isSaved = value.startsWith("saved:");
+
+	book.search.deleteSaved.disabled = !isSaved;
+	if (!search) return;
+
+	fillSearchForm(search.filters);
+	book.search.saveName.value = isSaved ? search.name : "";
+};
+
+// handleSaveSearch
+
+/**
+ * Event handler function triggered when a user clicks the
+ * {@link book.search.save} button. The search inputs currently entered in the
+ * {@link book.search.form} are saved under the name in the
+ * {@link book.search.saveName} field, which is required.
+ */
+const handleSaveSearch = () => {
+	const name = book.search.saveName.value.trim();
+
+	book.search.saveName.setCustomValidity(
+		name ? "" : "Enter a name to save this search under."
+	);
+	if (!book.search.saveName.reportValidity()) return;
+
+	saveSearch(name, readSearchForm());
+	renderSearchHistory(`saved:${name}`);
+};
+
+// handleDeleteSavedSearch
+
+/**
+ * Event handler function triggered when a user clicks the
+ * {@link book.search.deleteSaved} button, which removes the saved search that
+ * is chosen in the {@link book.search.history} select.
+ */
+const handleDeleteSavedSearch = () => {
+	const search = findHistorySearch(book.search.history.value);
+	if (!search) return;
+
+	deleteSavedSearch(search.name);
+	book.search.saveName.value = "";
+	renderSearchHistory();
+};
+
+// handleSelectAutocompleteSuggestion
+
+/**
+ * Called when a user chooses a suggestion from the autocomplete list of the
+ * {@link book.search.title} field. Choosing a book closes the search dialog
+ * and opens the details of that book, just like clicking its preview would.
+ * Choosing an author adds them to the chosen authors in the
+ * {@link book.search.authors} picker and clears the title, so that the search
+ * returns all books by the chosen authors.
+ *
+ * @param {import("./modules/search.js").AutocompleteSuggestion} suggestion -
+ * The chosen suggestion.
+ */
+const handleSelectAutocompleteSuggestion = ({ type, id }) => {
+	if (type === "author") {
+		book.search.title.value = "";
+		chooseAuthor(id);
+		return;
+	}
+
+	const active = getBook(id);
+
+	handleToggleDialog("search");
+	showBookDetails(active);
+	saveAppState();
+};
+
+// handleSortBooks
+
+/**
+ * Event handler function triggered when a user changes one of the
+ * {@link book.list.sort} selects. The chosen sort key and direction are
+ * assigned as the new {@link booksPreviewObj.sortOrder}, which applies to the
+ * full library as well as to filtered search results, and the book list is
+ * reloaded from its first page.
+ */
+const handleSortBooks = () => {
+	const formData = new FormData(book.list.sort);
+
+	booksPreviewObj.sortOrder = Object.fromEntries(formData);
+	booksPreviewObj.loadFirstPage();
+	saveAppState();
+};
+
+// handleCloseBookPreviewDialog
+
+/**
+ * Event handler function triggered when the {@link book.list.dialog} closes,
+ * whether by its close button or the Escape key. Keyboard focus returns to the
+ * preview that opened the dialog, see {@link previewOriginId}, even if the
+ * user stepped to other books in the meantime. The open book is removed from
+ * the URL by replacing the current history entry, so that the back button
+ * doesn't open the book again. Nothing is saved if the dialog was closed
+ * while restoring a saved state, as that state is already in the URL.
+ */
+const handleCloseBookPreviewDialog = () => {
+	if (previewOriginId) booksPreviewObj.focusBook(previewOriginId);
+	previewOriginId = null;
+
+	if (!activeBookId) return;
+
+	activeBookId = null;
+	saveAppState("replace");
+};
+
+// restoreAppState
+
+/**
+ * Restores the search inputs, sort order, page number and open book from the
+ * URL, see {@link parseAppState}. If the search inputs, sort order or page
+ * differ from the book list that is shown, the search form and sort selects
+ * are updated to match, and the search is run through the same
+ * {@link runBookSearch} path as a search submitted by the user. An advanced
+ * query that is invalid is shown in the search form with its error, but left
+ * out of the search. If only the open book differs, the book list is left as
+ * it is, so that its loaded pages and scroll position are kept. Called when
+ * the app loads and when the user navigates through the browser history.
+ */
+const restoreAppState = () => {
+	const { filters, sortOrder, page, bookId } = parseAppState(window.location);
+	const active = bookId && getBook(bookId);
+	const isSameList =
+		serializeAppState({ filters, sortOrder, page, bookId: null }) ===
+		serializeAppState({
+			filters: currentFilters,
+			sortOrder: booksPreviewObj.sortOrder,
+			page: booksPreviewObj.currentPage,
+			bookId: null,
+		});
+
+	if (!isSameList) {
+		fillSearchForm(filters);
+		book.list.sort.elements.key.value = sortOrder.key;
+		book.list.sort.elements.direction.value = sortOrder.direction;
+
+		booksPreviewObj.sortOrder = sortOrder;
+		runBookSearch(validateQuery() ? filters : { ...filters, query: "" });
+		booksPreviewObj.restorePage(page);
+	}
+
+	if (active) {
+		showBookDetails(active);
+	} else if (book.list.dialog.open) {
+		activeBookId = null;
+		book.list.dialog.close();
+	}
+};
+
 // Event Handlers
 
 book.search.cancel.addEventListener("click", () => {
@@ -174,6 +1003,7 @@ book.header.search.addEventListener("click", () => {
 });
 
 book.header.settings.addEventListener("click", () => {
+	fillSettingsForm();
 	handleToggleDialog("settings");
 });
 
@@ -181,7 +1011,92 @@ book.list.close.addEventListener("click", () => {
 	handleToggleDialog("list");
 });
 
-book.list.button.addEventListener("click", booksPreviewObj.loadNextPage);
+book.list.button.addEventListener("click", handleLoadMoreBooks);
+book.list.previous.addEventListener("click", () => {
+	handleStepBook(-1);
+});
+book.list.next.addEventListener("click", () => {
+	handleStepBook(1);
+});
+book.list.dialog.addEventListener("keydown", handleBookDialogKeydown);
+book.list.genres.addEventListener("click", handleSearchGenre);
+book.list.related.addEventListener("click", handleOpenBookPreviewDialog);
+book.list.author.addEventListener("click", handleOpenAuthorProfile);
+book.author.books.addEventListener("click", handleOpenAuthorBook);
+book.author.search.addEventListener("click", handleSearchAuthor);
+book.author.close.addEventListener("click", () => {
+	handleToggleDialog("author");
+});
+book.list.pagerFirst.addEventListener("click", () => {
+	handleShowPage(1);
+});
+book.list.pagerPrevious.addEventListener("click", () => {
+	handleShowPage(booksPreviewObj.currentPage - 1);
+});
+book.list.pagerNext.addEventListener("click", () => {
+	handleShowPage(booksPreviewObj.currentPage + 1);
+});
+book.list.pagerLast.addEventListener("click", () => {
+	handleShowPage(booksPreviewObj.pageCount);
+});
+book.list.pager.addEventListener("submit", (event) => {
+	event.preventDefault();
+	handleShowPage(book.list.pagerInput.valueAsNumber);
+});
+book.list.dialog.addEventListener("close", handleCloseBookPreviewDialog);
+window.addEventListener("popstate", restoreAppState);
 book.list.items.addEventListener("click", handleOpenBookPreviewDialog);
+booksPreviewObj.onPageOut = handlePageOutOfBookList;
 book.search.form.addEventListener("submit", handleBookFilterSearch);
+book.search.form.addEventListener("input", (event) => {
+	if (event.target !== book.search.authorsFilter) refreshFacets();
+});
+book.list.suggestionButton.addEventListener("click", handleApplySuggestion);
+book.list.sort.addEventListener("change", handleSortBooks);
+book.search.authorsFilter.addEventListener("input", filterAuthorPicker);
+book.search.authorsFilter.addEventListener(
+	"keydown",
+	handleAuthorFilterKeydown
+);
+book.search.authorsClear.addEventListener("click", clearAuthors);
+book.search.history.addEventListener("change", handleSelectSearchHistory);
+book.search.save.addEventListener("click", handleSaveSearch);
+book.search.deleteSaved.addEventListener("click", handleDeleteSavedSearch);
+book.search.saveName.addEventListener("input", () => {
+	book.search.saveName.setCustomValidity("");
+});
 book.settings.form.addEventListener("submit", toggleThemeHandler);
+book.settings.theme.addEventListener("change", handleChooseTheme);
+book.settings.themeAccent.addEventListener("input", updateThemePreview);
+book.settings.themeSurface.addEventListener("input", updateThemePreview);
+book.settings.themeText.addEventListener("input", updateThemePreview);
+book.settings.themeSave.addEventListener("click", handleSaveTheme);
+book.settings.themeDelete.addEventListener("click", handleDeleteTheme);
+book.settings.themeExport.addEventListener("click", handleExportTheme);
+book.settings.themeImport.addEventListener("click", () => {
+	book.settings.themeFile.click();
+});
+book.settings.themeFile.addEventListener("change", handleImportTheme);
+book.settings.themeName.addEventListener("input", () => {
+	book.settings.themeName.setCustomValidity("");
+});
+window.addEventListener("storage", handleStoredSettingsChange);
+
+createAutocomplete({
+	input: book.search.title,
+	listbox: book.search.suggestions,
+	status: book.search.suggestionsStatus,
+	getSuggestions: getAutocompleteSuggestions,
+	onSelect: handleSelectAutocompleteSuggestion,
+});
+
+// The stored settings are applied and shown in the settings form once the app
+// loads. The genre and author facets are counted and the stored searches are
+// listed, so that the search dialog shows them before the user changes any
+// search input. A search, sort order, page count or open book in the URL is
+// restored on top of that.
+applySettings(currentSettings);
+fillSettingsForm();
+refreshFacets();
+renderSearchHistory();
+if (window.location.search || window.location.hash) restoreAppState();
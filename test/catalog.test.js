@@ -0,0 +1,58 @@
+/* eslint-disable import/extensions */
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	getBook,
+	getBooksByAuthor,
+	getBooksByGenre,
+} from "../modules/catalog.js";
+import { authors, books, genres } from "../modules/data.js";
+
+describe("getBook", () => {
+	it("finds every book of the library by its ID", () => {
+		assert.ok(
+			books.every((singleBook) => getBook(singleBook.id) === singleBook)
+		);
+	});
+
+	it("returns null for an unknown ID", () => {
+		assert.equal(getBook("unknown"), null);
+	});
+});
+
+describe("getBooksByAuthor", () => {
+	it("returns the books of each author in library order", () => {
+		Object.keys(authors).forEach((id) => {
+			assert.deepEqual(
+				getBooksByAuthor(id),
+				books.filter(({ author }) => author === id)
+			);
+		});
+	});
+
+	it("returns a frozen empty list for an unknown author", () => {
+		const authorBooks = getBooksByAuthor("unknown");
+
+		assert.deepEqual(authorBooks, []);
+		assert.ok(Object.isFrozen(authorBooks));
+	});
+});
+
+describe("getBooksByGenre", () => {
+	it("returns the books of each genre in library order", () => {
+		Object.keys(genres).forEach((id) => {
+			assert.deepEqual(
+				getBooksByGenre(id),
+				books.filter((singleBook) => singleBook.genres.includes(id))
+			);
+		});
+	});
+
+	it("shares frozen lists between callers", () => {
+		const [id] = Object.keys(genres);
+
+		assert.equal(getBooksByGenre(id), getBooksByGenre(id));
+		assert.throws(() => getBooksByGenre(id).push(books[0]), TypeError);
+		assert.deepEqual(getBooksByGenre("unknown"), []);
+	});
+});
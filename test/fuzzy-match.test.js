@@ -0,0 +1,33 @@
+/* eslint-disable import/extensions */
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import getEditDistance from "../modules/fuzzy-match.js";
+
+describe("getEditDistance", () => {
+	it("counts insertions, deletions and substitutions", () => {
+		assert.equal(getEditDistance("travel", "travel"), 0);
+		assert.equal(getEditDistance("", "abc"), 3);
+		assert.equal(getEditDistance("abc", ""), 3);
+		assert.equal(getEditDistance("kitten", "sitting"), 3);
+	});
+
+	it("counts a transposition of two adjacent characters as one edit", () => {
+		assert.equal(getEditDistance("form", "from"), 1);
+		assert.equal(getEditDistance("ab", "ba"), 1);
+		assert.equal(getEditDistance("abcd", "abdc"), 1);
+		assert.equal(getEditDistance("abcd", "badc"), 2);
+	});
+
+	it("doesn't edit a transposed pair again", () => {
+		// The optimal string alignment distance, unlike the unrestricted
+		// Damerau-Levenshtein distance of 2.
+		assert.equal(getEditDistance("ca", "abc"), 3);
+	});
+
+	it("returns Infinity once the distance exceeds maxDistance", () => {
+		assert.equal(getEditDistance("form", "from", 1), 1);
+		assert.equal(getEditDistance("form", "from", 0), Infinity);
+		assert.equal(getEditDistance("a", "abcd", 2), Infinity);
+		assert.equal(getEditDistance("kitten", "sitting", 2), Infinity);
+	});
+});
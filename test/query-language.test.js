@@ -0,0 +1,116 @@
+/* eslint-disable import/extensions */
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	QuerySyntaxError,
+	compileQuery,
+	parseQuery,
+} from "../modules/query-language.js";
+
+// formatTree
+
+/**
+ * Writes a syntax tree as a compact string, in which `and` nodes are wrapped
+ * in parentheses, `or` operands are separated by `|` and negations start with
+ * `-`, so that the grouping of a parsed query can be compared at a glance.
+ *
+ * @param {import("../modules/query-language.js").QueryNode} node - The syntax
+ * tree to write.
+ * @returns {string} The written tree.
+ */
+const formatTree = (node) => {
+	const formats = {
+		and: () => `(${node.children.map(formatTree).join(" ")})`,
+		or: () => `(${node.children.map(formatTree).join(" | ")})`,
+		not: () => `-${formatTree(node.child)}`,
+		field: () => `${node.field}:${node.value}`,
+		text: () => (node.quoted ? `"${node.value}"` : node.value),
+	};
+
+	return formats[node.type]();
+};
+
+describe("parseQuery", () => {
+	it("returns null for an empty query", () => {
+		assert.equal(parseQuery(""), null);
+		assert.equal(parseQuery("   "), null);
+	});
+
+	it("binds words next to each other tighter than OR", () => {
+		assert.equal(formatTree(parseQuery("a b OR c")), "((a b) | c)");
+		assert.equal(formatTree(parseQuery("a OR b c")), "(a | (b c))");
+	});
+
+	it("treats AND the same as words next to each other", () => {
+		assert.equal(formatTree(parseQuery("a AND b OR c")), "((a b) | c)");
+	});
+
+	it("binds a negation to the term right after it", () => {
+		assert.equal(formatTree(parseQuery("-a b")), "(-a b)");
+		assert.equal(formatTree(parseQuery("-a OR b")), "(-a | b)");
+		assert.equal(formatTree(parseQuery("--a")), "--a");
+	});
+
+	it("groups with parentheses before anything else", () => {
+		assert.equal(formatTree(parseQuery("a (b OR c)")), "(a (b | c))");
+		assert.equal(formatTree(parseQuery("-(a OR b) c")), "(-(a | b) c)");
+	});
+
+	it("keeps quoted phrases and field values together", () => {
+		assert.equal(
+			formatTree(parseQuery('author:"Bill Bryson" "a walk" -genre:travel')),
+			'(author:Bill Bryson "a walk" -genre:travel)'
+		);
+	});
+
+	it("reads a hyphen inside a word as part of the word", () => {
+		assert.equal(formatTree(parseQuery("sci-fi")), "sci-fi");
+	});
+});
+
+describe("query errors", () => {
+	const cases = [
+		['"oops', 'Missing closing quote (") (at character 1)'],
+		["(a", 'Missing closing parenthesis for the "(" here (at character 1)'],
+		["a)", 'Unexpected ")" without a matching "(" (at character 2)'],
+		["OR x", 'Expected a search term before "OR" (at character 1)'],
+		[
+			"x AND",
+			"Expected a search term at the end of the query (at character 6)",
+		],
+		["x (", "Expected a search term at the end of the query (at character 4)"],
+		[
+			"foo:bar",
+			'Unknown field "foo:". Use one of title:, author:, genre:, pages:, year:, popularity: (at character 1)',
+		],
+		["a author:", 'Expected a value after "author:" (at character 3)'],
+		[
+			"pages:abc",
+			'Expected a number, comparison (e.g. pages:<300) or range (e.g. pages:2000..2010) after "pages:", but found "abc" (at character 1)',
+		],
+		[
+			"year:2010..2000",
+			'The range "year:2010..2000" starts after it ends (at character 1)',
+		],
+		[
+			"genre:travl",
+			'Unknown genre "travl". Did you mean genre:travel? (at character 1)',
+		],
+	];
+
+	cases.forEach(([query, message]) => {
+		it(`explains what is wrong with ${query}`, () => {
+			assert.throws(() => compileQuery(query), { message });
+		});
+	});
+
+	it("throws QuerySyntaxError with the position of the problem", () => {
+		assert.throws(
+			() => parseQuery("a (b"),
+			(error) =>
+				error instanceof QuerySyntaxError &&
+				error.name === "QuerySyntaxError" &&
+				error.position === 2
+		);
+	});
+});
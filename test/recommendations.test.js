@@ -0,0 +1,63 @@
+/* eslint-disable import/extensions */
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import createRecommender from "../modules/recommendations.js";
+
+const library = [
+	{
+		id: "voyage",
+		author: "explorer",
+		genres: ["travel", "history"],
+		published: "2001-01-01T00:00:00.000Z",
+		description: "A voyage across the ocean aboard a sailing ship.",
+	},
+	{
+		id: "return",
+		author: "explorer",
+		genres: ["travel", "history"],
+		published: "2004-01-01T00:00:00.000Z",
+		description: "The return voyage across the ocean aboard the same ship.",
+	},
+	{
+		id: "harbour",
+		author: "sailor",
+		genres: ["travel"],
+		published: "1950-01-01T00:00:00.000Z",
+		description: "Life in a harbour town, watching every ship leave.",
+	},
+	{
+		id: "atoms",
+		author: "physicist",
+		genres: ["science"],
+		published: "1990-01-01T00:00:00.000Z",
+		description: "Particles, fields and the forces between atoms.",
+	},
+];
+
+describe("createRecommender", () => {
+	const recommender = createRecommender(library);
+
+	it("ranks books by how much they have in common", () => {
+		assert.deepEqual(
+			recommender.getSimilarBooks(library[0]).map(({ id }) => id),
+			["return", "harbour", "atoms"]
+		);
+	});
+
+	it("leaves out the book itself and stops at the limit", () => {
+		const similarBooks = recommender.getSimilarBooks(library[3]);
+
+		assert.equal(similarBooks.length, 3);
+		assert.equal(similarBooks.includes(library[3]), false);
+		assert.deepEqual(recommender.getSimilarBooks(library[3], 1), [
+			similarBooks[0],
+		]);
+	});
+
+	it("recommends nothing for a book outside the library", () => {
+		assert.deepEqual(
+			recommender.getSimilarBooks({ ...library[0], id: "unknown" }),
+			[]
+		);
+	});
+});
@@ -0,0 +1,142 @@
+/* eslint-disable import/extensions */
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { authors, genres } from "../modules/data.js";
+import {
+	loadSearchHistory,
+	recordRecentSearch,
+	saveSearch,
+} from "../modules/saved-searches.js";
+import { DEFAULT_SEARCH_FILTERS } from "../modules/search.js";
+
+const STORAGE_KEY = "book-connect:searches";
+const [authorId] = Object.keys(authors);
+const [genreId] = Object.keys(genres);
+
+/**
+ * The values in the `localStorage` stand-in below, by key.
+ *
+ * @type {Map<string, string>}
+ */
+const storedValues = new Map();
+
+globalThis.window = {
+	localStorage: {
+		getItem: (key) => (storedValues.has(key) ? storedValues.get(key) : null),
+		setItem: (key, value) => storedValues.set(key, String(value)),
+	},
+};
+
+// storeSaved
+
+/**
+ * Stores the provided value as the saved searches, as if an older or broken
+ * version of the app had written it.
+ *
+ * @param {*} saved - The value to store as the saved searches.
+ */
+const storeSaved = (saved) => {
+	storedValues.set(STORAGE_KEY, JSON.stringify({ recent: [], saved }));
+};
+
+beforeEach(() => storedValues.clear());
+
+describe("loadSearchHistory", () => {
+	it("returns no searches when nothing usable is stored", () => {
+		const empty = { recent: [], saved: [] };
+
+		assert.deepEqual(loadSearchHistory(), empty);
+		["null", "[]", "5", "{", '{"recent":5,"saved":null}'].forEach((value) => {
+			storedValues.set(STORAGE_KEY, value);
+			assert.deepEqual(loadSearchHistory(), empty);
+		});
+	});
+
+	it("skips stored entries that aren't searches", () => {
+		storeSaved([null, [], { name: 1, filters: {} }, { name: "No filters" }]);
+		assert.deepEqual(loadSearchHistory().saved, []);
+	});
+
+	it("fills in missing search inputs with their defaults", () => {
+		storeSaved([{ name: "Keyword", filters: { mode: "keyword" } }]);
+		assert.deepEqual(loadSearchHistory().saved, [
+			{
+				name: "Keyword",
+				filters: { ...DEFAULT_SEARCH_FILTERS, mode: "keyword" },
+			},
+		]);
+	});
+
+	it("replaces search inputs of the wrong type and drops unknown ones", () => {
+		storeSaved([
+			{
+				name: "Broken",
+				filters: {
+					title: 5,
+					genres: genreId,
+					authors: [authorId, 7],
+					yearFrom: "2000",
+					unknown: true,
+				},
+			},
+		]);
+		assert.deepEqual(loadSearchHistory().saved[0].filters, {
+			...DEFAULT_SEARCH_FILTERS,
+			yearFrom: "2000",
+		});
+	});
+
+	it("turns the single author of older searches into a list", () => {
+		storeSaved([
+			{ name: "One author", filters: { author: authorId } },
+			{ name: "Any author", filters: { author: "any" } },
+		]);
+		assert.deepEqual(
+			loadSearchHistory().saved.map(({ filters }) => filters.authors),
+			[[authorId], []]
+		);
+	});
+});
+
+describe("recordRecentSearch", () => {
+	it("doesn't record a search that matches every book", () => {
+		recordRecentSearch(DEFAULT_SEARCH_FILTERS);
+		assert.deepEqual(loadSearchHistory().recent, []);
+	});
+
+	it("moves a repeated search to the top instead of adding it again", () => {
+		const harry = { ...DEFAULT_SEARCH_FILTERS, title: "harry" };
+		const genre = { ...DEFAULT_SEARCH_FILTERS, genres: [genreId] };
+
+		recordRecentSearch(harry);
+		recordRecentSearch(genre);
+		recordRecentSearch(harry);
+
+		assert.deepEqual(
+			loadSearchHistory().recent.map(({ name }) => name),
+			['"harry"', genres[genreId]]
+		);
+	});
+
+	it("keeps only the ten newest searches", () => {
+		for (let year = 2001; year <= 2012; year += 1) {
+			recordRecentSearch({ ...DEFAULT_SEARCH_FILTERS, yearFrom: `${year}` });
+		}
+
+		const { recent } = loadSearchHistory();
+
+		assert.equal(recent.length, 10);
+		assert.equal(recent[0].filters.yearFrom, "2012");
+	});
+});
+
+describe("saveSearch", () => {
+	it("replaces a saved search with the same name, ignoring case", () => {
+		saveSearch("Travel", { ...DEFAULT_SEARCH_FILTERS, title: "walk" });
+		saveSearch("travel", { ...DEFAULT_SEARCH_FILTERS, title: "road" });
+
+		assert.deepEqual(loadSearchHistory().saved, [
+			{ name: "travel", filters: { ...DEFAULT_SEARCH_FILTERS, title: "road" } },
+		]);
+	});
+});
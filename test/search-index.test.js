@@ -0,0 +1,101 @@
+/* eslint-disable import/extensions */
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { authors } from "../modules/data.js";
+import { createSearchIndex, tokenize } from "../modules/search-index.js";
+
+const [authorId] = Object.keys(authors);
+
+/**
+ * A small library whose words sort to both ends of the vocabulary of the
+ * index: `aardvark` and `aardvarks` come before the words of any author name,
+ * and `zzyzx` after them.
+ */
+const library = [
+	{
+		id: "first",
+		title: "Aardvark Stories",
+		author: authorId,
+		description: "Zebras zigzag.",
+	},
+	{
+		id: "last",
+		title: "Zzyzx Road",
+		author: authorId,
+		description: "Two aardvarks.",
+	},
+];
+
+const searchIndex = createSearchIndex(library);
+
+// findIds
+
+/**
+ * Runs a search index query and returns the IDs of the matching books, in
+ * library order.
+ *
+ * @param {string} term - The query term.
+ * @param {import("../modules/search-index.js").IndexField[]} [fields] - The
+ * fields to match the term in.
+ * @returns {string[]} The IDs of the matching books.
+ */
+const findIds = (term, fields = ["title", "description"]) =>
+	searchIndex
+		.query([term], fields)
+		.sort((a, b) => a.position - b.position)
+		.map(({ singleBook }) => singleBook.id);
+
+describe("tokenize", () => {
+	it("splits on punctuation and lower-cases every word", () => {
+		assert.deepEqual(tokenize("Don't Panic!  42"), ["don", "t", "panic", "42"]);
+	});
+});
+
+describe("search index prefix expansion", () => {
+	it("expands a term that sorts before the first word of the vocabulary", () => {
+		assert.deepEqual(findIds("a"), ["first", "last"]);
+		assert.deepEqual(findIds("aa"), ["first", "last"]);
+	});
+
+	it("expands a whole word to the longer words that start with it", () => {
+		assert.deepEqual(findIds("aardvark"), ["first", "last"]);
+		assert.deepEqual(findIds("aardvarks"), ["last"]);
+	});
+
+	it("finds nothing for a term before the first word that no word starts with", () => {
+		assert.deepEqual(findIds("a0"), []);
+	});
+
+	it("expands a term up to the last word of the vocabulary", () => {
+		assert.deepEqual(findIds("z"), ["first", "last"]);
+		assert.deepEqual(findIds("zzyzx"), ["last"]);
+	});
+
+	it("finds nothing for a term that sorts after the last word", () => {
+		assert.deepEqual(findIds("zzz"), []);
+		assert.equal(searchIndex.hasTerm("zzz", ["title"]), false);
+		assert.equal(searchIndex.hasTerm("zzy", ["title"]), true);
+	});
+
+	it("only matches the fields asked for", () => {
+		assert.deepEqual(findIds("zebra", ["title"]), []);
+		assert.deepEqual(findIds("zebra", ["description"]), ["first"]);
+	});
+
+	it("requires every term to match", () => {
+		assert.deepEqual(searchIndex.query(["aardvark", "road"], ["title"]), []);
+		assert.equal(searchIndex.query(["zz", "road"], ["title"]).length, 1);
+	});
+});
+
+describe("search index title search", () => {
+	it("matches a phrase in the middle of a word, like a substring search", () => {
+		assert.deepEqual(
+			searchIndex
+				.queryTitle("rdvark st")
+				.map(({ singleBook }) => singleBook.id),
+			["first"]
+		);
+		assert.deepEqual(searchIndex.queryTitle("vark road"), []);
+	});
+});
@@ -0,0 +1,109 @@
+/* eslint-disable import/extensions */
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { authors } from "../modules/data.js";
+import {
+	DEFAULT_SORT_ORDER,
+	compareAuthorNames,
+	sortBooks,
+} from "../modules/sort-books.js";
+
+// findAuthorId
+
+/**
+ * Looks up the ID of an author of the library by name.
+ *
+ * @param {string} name - The author's name.
+ * @returns {string} The author ID.
+ */
+const findAuthorId = (name) =>
+	Object.keys(authors).find((id) => authors[id] === name);
+
+const library = [
+	{
+		id: "levitt",
+		title: "Book 10",
+		author: findAuthorId("Steven D. Levitt"),
+		published: "2005-04-12T00:00:00.000Z",
+		pages: 320,
+		popularity: 2,
+	},
+	{
+		id: "bryson",
+		title: "book 2",
+		author: findAuthorId("Bill Bryson"),
+		published: "1998-01-01T00:00:00.000Z",
+		pages: 320,
+		popularity: 3,
+	},
+	{
+		id: "dubner",
+		title: "Another Book",
+		author: findAuthorId("Stephen J. Dubner"),
+		published: "2010-09-30T00:00:00.000Z",
+		pages: 150,
+		popularity: 1,
+	},
+];
+
+// sortIds
+
+/**
+ * Sorts the library and returns the IDs of its books in the sorted order.
+ *
+ * @param {import("../modules/sort-books.js").SortOrder["key"]} key - The sort
+ * key.
+ * @param {"asc" | "desc"} [direction = "asc"] - The sort direction.
+ * @returns {string[]} The book IDs.
+ */
+const sortIds = (key, direction = "asc") =>
+	sortBooks(library, { key, direction }).map(({ id }) => id);
+
+describe("sortBooks", () => {
+	it("keeps the library order by default, or reverses it", () => {
+		assert.deepEqual(sortIds("default"), ["levitt", "bryson", "dubner"]);
+		assert.deepEqual(sortIds("default", "desc"), [
+			"dubner",
+			"bryson",
+			"levitt",
+		]);
+	});
+
+	it("returns a sorted copy without changing the library", () => {
+		const sorted = sortBooks(library, DEFAULT_SORT_ORDER);
+
+		assert.notEqual(sorted, library);
+		sortBooks(library, { key: "title", direction: "desc" });
+		assert.deepEqual(
+			library.map(({ id }) => id),
+			["levitt", "bryson", "dubner"]
+		);
+	});
+
+	it("sorts titles ignoring case and with numbers in numeric order", () => {
+		assert.deepEqual(sortIds("title"), ["dubner", "bryson", "levitt"]);
+	});
+
+	it("sorts authors by surname", () => {
+		assert.deepEqual(sortIds("author"), ["bryson", "dubner", "levitt"]);
+		assert.deepEqual(sortIds("author", "desc"), ["levitt", "dubner", "bryson"]);
+	});
+
+	it("sorts by publication date, popularity rank and page count", () => {
+		assert.deepEqual(sortIds("published"), ["bryson", "levitt", "dubner"]);
+		assert.deepEqual(sortIds("popularity"), ["dubner", "levitt", "bryson"]);
+		assert.deepEqual(sortIds("pages", "desc"), ["levitt", "bryson", "dubner"]);
+	});
+
+	it("keeps the library order of books that compare equal", () => {
+		assert.deepEqual(sortIds("pages"), ["dubner", "levitt", "bryson"]);
+	});
+});
+
+describe("compareAuthorNames", () => {
+	it("compares surnames first, then the whole name", () => {
+		assert.ok(compareAuthorNames("Zadie Smith", "Adam Tolkien") < 0);
+		assert.ok(compareAuthorNames("Zadie Smith", "Adam Smith") > 0);
+		assert.equal(compareAuthorNames("bill bryson", "Bill Bryson"), 0);
+	});
+});
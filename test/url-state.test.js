@@ -0,0 +1,94 @@
+/* eslint-disable import/extensions */
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { authors, genres } from "../modules/data.js";
+import { DEFAULT_SEARCH_FILTERS } from "../modules/search.js";
+import { DEFAULT_SORT_ORDER } from "../modules/sort-books.js";
+import { parseAppState, serializeAppState } from "../modules/url-state.js";
+
+const [authorId, otherAuthorId] = Object.keys(authors);
+const [genreId] = Object.keys(genres);
+
+globalThis.window = { location: { pathname: "/index.html" } };
+
+/**
+ * The state of the unfiltered library, as shown when the app first loads.
+ *
+ * @type {import("../modules/url-state.js").AppState}
+ */
+const defaultState = {
+	filters: DEFAULT_SEARCH_FILTERS,
+	sortOrder: DEFAULT_SORT_ORDER,
+	page: 1,
+	bookId: null,
+};
+
+// parseURL
+
+/**
+ * Reads the state from a relative URL, as written by
+ * {@link serializeAppState}.
+ *
+ * @param {string} url - The relative URL.
+ * @returns {import("../modules/url-state.js").AppState} The state.
+ */
+const parseURL = (url) => parseAppState(new URL(url, "https://example.com"));
+
+describe("serializeAppState", () => {
+	it("keeps the URL of the unfiltered library clean", () => {
+		assert.equal(serializeAppState(defaultState), "/index.html");
+	});
+
+	it("only writes the values that differ from their defaults", () => {
+		assert.equal(
+			serializeAppState({
+				...defaultState,
+				filters: { ...DEFAULT_SEARCH_FILTERS, title: "harry potter" },
+				sortOrder: { ...DEFAULT_SORT_ORDER, key: "title" },
+				page: 3,
+				bookId: "a b",
+			}),
+			"/index.html?title=harry+potter&sort=title&page=3#book=a%20b"
+		);
+	});
+});
+
+describe("parseAppState", () => {
+	it("reads back the state that was written", () => {
+		const state = {
+			filters: {
+				...DEFAULT_SEARCH_FILTERS,
+				title: "walk",
+				mode: "keyword",
+				query: 'genre:travel -"the end"',
+				genres: [genreId],
+				genreMatch: "all",
+				authors: [authorId, otherAuthorId],
+				yearFrom: "1990",
+				pagesMax: "300",
+			},
+			sortOrder: { key: "published", direction: "desc" },
+			page: 4,
+			bookId: "book/1",
+		};
+
+		assert.deepEqual(parseURL(serializeAppState(state)), state);
+	});
+
+	it("falls back to the defaults for a URL without state", () => {
+		assert.deepEqual(parseURL("/"), defaultState);
+	});
+
+	it("ignores values that a hand-edited URL can't use", () => {
+		assert.deepEqual(
+			parseURL(
+				`/?mode=fuzzy&match=some&genre=nope&genre=${genreId}&author=nobody&sort=colour&order=up&page=-2`
+			),
+			{
+				...defaultState,
+				filters: { ...DEFAULT_SEARCH_FILTERS, genres: [genreId] },
+			}
+		);
+		assert.equal(parseURL("/?page=abc").page, 1);
+	});
+});